@@ -0,0 +1,138 @@
+// Message templates for the notification outbox (services/notifications.js).
+// Each takes the event data and returns { subject, text }, plus replyMarkup
+// for Telegram messages that carry buttons. Rendered when the notification is
+// queued, so a message describes the record as it was at that moment.
+
+// Headings per Transaction (buy order) event; the event is the new status,
+// or "created"
+const TRANSACTION_HEADINGS = {
+  created: "New Buy Order",
+  "awaiting verification": "Buy Order Paid - Awaiting Verification",
+  processing: "Buy Order Processing",
+  verified: "Buy Order Verified",
+  failed: "Buy Order Failed",
+  refunded: "Buy Order Refunded",
+  cancelled: "Buy Order Cancelled",
+  expired: "Buy Order Expired",
+};
+
+// Approve/Reject buttons, handled by services/telegramBot.js. `action` is
+// "tx" for Transactions, "wd" for Withdrawals.
+const verifyButtons = (action, id) => ({
+  inline_keyboard: [
+    [
+      { text: "Approve", callback_data: `${action}:verified:${id}` },
+      { text: "Reject", callback_data: `${action}:failed:${id}` },
+    ],
+  ],
+});
+
+const describeTransaction = (transaction, heading) => {
+  const pricing = transaction.rate
+    ? ` (rate ${transaction.rate}, fee ${transaction.fee})`
+    : "";
+  const reason = transaction.statusHistory.at(-1)?.reason;
+  return `${heading}
+Order: ${transaction._id}
+User: ${transaction.userId}
+Receiving Address: ${transaction.address}
+USDT Amount: ${transaction.usdtAmount}
+Naira Amount: ${transaction.nairaAmount}${pricing}
+Status: ${transaction.status}${reason ? `\nReason: ${reason}` : ""}`;
+};
+
+const transactionHeading = (event) =>
+  TRANSACTION_HEADINGS[event] || `Buy Order ${event}`;
+
+const TEMPLATES = {
+  // Admin copy of a Transaction event, with a deep link into the dashboard
+  "transaction.admin": ({ transaction, event }) => ({
+    subject: `${transactionHeading(event)}: ${transaction._id}`,
+    text: `${describeTransaction(transaction, transactionHeading(event))}
+Open: ${process.env.FRONTEND_URL}/admin/transactions/${transaction._id}`,
+    replyMarkup:
+      transaction.status === "awaiting verification"
+        ? verifyButtons("tx", transaction._id)
+        : undefined,
+  }),
+
+  // The buyer's own copy
+  "transaction.user": ({ transaction, event }) => ({
+    subject: transactionHeading(event),
+    text: `${describeTransaction(transaction, transactionHeading(event))}
+View: ${process.env.FRONTEND_URL}/transactions/${transaction._id}`,
+  }),
+
+  "withdrawal.created": ({ withdrawal }) => ({
+    subject: `New Withdrawal Request: ${withdrawal._id}`,
+    text: `New Withdrawal Request
+Type: Withdrawal
+Withdrawal: ${withdrawal._id}
+User: ${withdrawal.userId}
+USDT Amount: ${withdrawal.usdtAmount}
+Naira Amount: ${withdrawal.nairaAmount} (rate ${withdrawal.rate}, fee ${withdrawal.fee})
+Bank Details:
+  Bank: ${withdrawal.bankDetails.bankName}
+  Account Number: ${withdrawal.bankDetails.accountNumber}
+  Account Name: ${withdrawal.bankDetails.accountName}
+Tx Hash: ${withdrawal.txHash}
+Status: Pending${withdrawal.flaggedReason ? `\nFlagged: ${withdrawal.flaggedReason}` : ""}`,
+    replyMarkup: verifyButtons("wd", withdrawal._id),
+  }),
+
+  "withdrawal.status": ({ withdrawal }) => {
+    const text =
+      withdrawal.status === "verified"
+        ? `Withdrawal ${withdrawal._id} verified for user ${withdrawal.userId}. Naira sent to ${withdrawal.bankDetails.accountName}.`
+        : `Withdrawal ${withdrawal._id} ${withdrawal.status} for user ${withdrawal.userId}.`;
+    return { subject: `Withdrawal ${withdrawal.status}`, text };
+  },
+
+  // Pending records closed by the expiry scheduler; `label` is the model name
+  "record.expired": ({ label, record, reason }) => ({
+    subject: `${label} expired: ${record._id}`,
+    text: `${label} ${record._id} for user ${record.userId} expired: ${reason}.`,
+  }),
+
+  // `expires` is false for records that stay open past the deadline
+  "record.expiry-reminder": ({ label, record, deadline, expires }) => ({
+    subject: `${label} ${expires ? "expiring" : "due"}: ${record._id}`,
+    text: `${label} ${record._id} for user ${record.userId} is still ${record.status} and ${expires ? "expires at" : "is due by"} ${deadline.toISOString()}.`,
+  }),
+
+  "suspension.appeal": ({ suspension, message }) => ({
+    subject: `Suspension Appeal: ${suspension.address}`,
+    text: `Suspension Appeal
+User: ${suspension.address}
+Suspension: ${suspension._id} (scope ${suspension.scope})
+Reason: ${suspension.reason}
+Appeal: ${message}
+Review: ${process.env.FRONTEND_URL}/admin/suspensions/${suspension._id}`,
+  }),
+
+  // New and escalated support tickets
+  "complaint.alert": ({ complaint, heading }) => {
+    const related = complaint.relatedId
+      ? `\nRelated: ${complaint.relatedType} ${complaint.relatedId}`
+      : "";
+    return {
+      subject: `${heading}: ${complaint.subject}`,
+      text: `${heading}
+Ticket: ${complaint._id}
+User: ${complaint.userId}
+Category: ${complaint.category}
+Priority: ${complaint.priority}
+Subject: ${complaint.subject}${related}`,
+    };
+  },
+};
+
+const renderTemplate = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = { TEMPLATES, renderTemplate, verifyButtons };
@@ -0,0 +1,56 @@
+// What each admin role may do. Routes name the permission they need in
+// adminMiddleware(permission).
+const PERMISSIONS = [
+  "withdrawals:read",
+  "withdrawals:verify",
+  "transactions:read",
+  "transactions:verify",
+  "suspensions:read",
+  "suspensions:write",
+  "reports:read",
+  "admins:read",
+  "admins:write",
+  "audit:read",
+  "rates:write",
+  "users:write",
+  "complaints:read",
+  "complaints:write",
+  "webhooks:read",
+  "webhooks:write",
+];
+
+const ROLE_PERMISSIONS = {
+  superadmin: PERMISSIONS,
+  verifier: [
+    "withdrawals:read",
+    "withdrawals:verify",
+    "transactions:read",
+    "transactions:verify",
+    "complaints:read",
+    "reports:read",
+  ],
+  support: [
+    "withdrawals:read",
+    "transactions:read",
+    "suspensions:read",
+    "suspensions:write",
+    "users:write",
+    "complaints:read",
+    "complaints:write",
+    "reports:read",
+  ],
+  viewer: [
+    "withdrawals:read",
+    "transactions:read",
+    "suspensions:read",
+    "complaints:read",
+    "reports:read",
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, hasPermission };
@@ -0,0 +1,104 @@
+// Meta-functions the relayer is willing to pay gas for, with the argument
+// schema each one is validated against. Admin-only functions are deliberately
+// absent: they always revert when sent by the relayer.
+//
+// maxGas caps the padded gas estimate for one call.
+// Arg types: address, bool, bytes32, string, uint<N>, uint<N>[].
+// Optional constraints: min/max (uints), maxLength (strings and arrays),
+// matchesUser (must equal the request's userAddress).
+const SIGNATURE_ARGS = [
+  { name: "deadline", type: "uint256" },
+  { name: "v", type: "uint8", min: 27n, max: 28n },
+  { name: "r", type: "bytes32" },
+  { name: "s", type: "bytes32" },
+];
+
+const RELAY_FUNCTIONS = {
+  executeMetaStake: {
+    contract: "staking",
+    maxGas: 300_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      { name: "amount", type: "uint256", min: 1n },
+      { name: "referrer", type: "address" },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+  executeMetaUnstake: {
+    contract: "staking",
+    maxGas: 300_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      { name: "stakeIndex", type: "uint256" },
+      { name: "amount", type: "uint256", min: 1n },
+      { name: "early", type: "bool" },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+  executeMetaCompound: {
+    contract: "staking",
+    maxGas: 250_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      { name: "stakeIndex", type: "uint256" },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+  executeMetaWithdrawReward: {
+    contract: "staking",
+    maxGas: 250_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      { name: "stakeIndex", type: "uint256" },
+      { name: "amount", type: "uint256", min: 1n },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+  executeMetaWithdrawReferralBonus: {
+    contract: "staking",
+    maxGas: 200_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+  executeMetaBatchWithdrawRewards: {
+    contract: "staking",
+    maxGas: 2_000_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      { name: "stakeIndices", type: "uint256[]", maxLength: 50 },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+  executeMetaWithdrawal: {
+    contract: "withdrawal",
+    maxGas: 250_000,
+    args: [
+      { name: "user", type: "address", matchesUser: true },
+      { name: "amount", type: "uint256", min: 1n },
+      { name: "bankDetails", type: "string", maxLength: 500 },
+      ...SIGNATURE_ARGS,
+    ],
+  },
+};
+
+// RELAY_ALLOWED_FUNCTIONS (comma-separated) narrows the list, e.g. to switch
+// off compounding during an incident without a deploy
+const allowedFunctions = () =>
+  process.env.RELAY_ALLOWED_FUNCTIONS
+    ? process.env.RELAY_ALLOWED_FUNCTIONS.split(",").map((name) => name.trim())
+    : Object.keys(RELAY_FUNCTIONS);
+
+const getRelayFunction = (functionName, contract) => {
+  const definition = RELAY_FUNCTIONS[functionName];
+  if (!definition || !allowedFunctions().includes(functionName)) {
+    return null;
+  }
+  if (contract && definition.contract !== contract) {
+    return null;
+  }
+  return definition;
+};
+
+module.exports = { RELAY_FUNCTIONS, getRelayFunction };
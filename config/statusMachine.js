@@ -0,0 +1,34 @@
+// Allowed status changes for Transaction and Withdrawal documents. Routes and
+// background jobs change status only through services/statusMachine.js.
+const STATUSES = [
+  "pending",
+  "awaiting verification",
+  "processing",
+  "verified",
+  "failed",
+  "cancelled",
+  "refunded",
+  "expired",
+];
+
+// What the admin verify routes may set; users only cancel or mark paid, and
+// expiry is left to the scheduler
+const ADMIN_STATUSES = ["processing", "verified", "failed", "refunded"];
+
+// verified, cancelled, refunded and expired are final
+const TRANSITIONS = {
+  Transaction: {
+    pending: ["awaiting verification", "cancelled", "expired"],
+    "awaiting verification": ["processing", "verified", "failed", "expired"],
+    processing: ["verified", "failed"],
+    failed: ["refunded"],
+  },
+  Withdrawal: {
+    pending: ["processing", "verified", "failed", "cancelled", "expired"],
+    "awaiting verification": ["processing", "verified", "failed"],
+    processing: ["verified", "failed"],
+    failed: ["refunded"],
+  },
+};
+
+module.exports = { STATUSES, ADMIN_STATUSES, TRANSITIONS };
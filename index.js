@@ -1,41 +1,140 @@
 const express = require("express");
-const { Relayer } = require("@openzeppelin/defender-sdk-relay-signer-client");
 const bodyParser = require("body-parser");
 const cors = require("cors");
 const dotenv = require("dotenv");
+
+// Load .env before the modules below read their settings from it
+dotenv.config();
+
 const { ethers } = require("ethers");
 const mongoose = require("mongoose");
 const Suspension = require("./models/suspension");
 const Transaction = require("./models/Transaction");
-const { adminMiddleware } = require("./middleware/auth");
+const {
+  adminMiddleware,
+  userMiddleware,
+  userOrAdminMiddleware,
+  ownsRecord,
+} = require("./middleware/auth");
 const TelegramBot = require("node-telegram-bot-api");
 const Withdrawal = require("./models/Withdrawal");
-
-dotenv.config();
+const ChainEvent = require("./models/ChainEvent");
+const RelayJob = require("./models/RelayJob");
+const { verifyMetaSignature } = require("./services/metaTx");
+const { validateRelayArgs } = require("./services/relayArgs");
+const { getRelayFunction } = require("./config/relayFunctions");
+const { SPEED_TIERS } = require("./services/gas");
+const { simulateTransaction } = require("./services/simulate");
+const {
+  loadChains,
+  getChain,
+  getChains,
+  getDefaultChain,
+} = require("./services/chains");
+const {
+  verifyWithdrawalTx,
+  getTokenDecimals,
+  migrateWithdrawalTxHashes,
+} = require("./services/withdrawalVerification");
+const {
+  startRelayWorker,
+  processRelayJobs,
+} = require("./services/relayWorker");
+const { startIndexer } = require("./services/indexer");
+const {
+  createChallenge,
+  consumeChallenge,
+  createSession,
+  findSession,
+  getBearerToken,
+} = require("./services/siwe");
+const Session = require("./models/Session");
+const Admin = require("./models/Admin");
+const { ROLES } = require("./config/permissions");
+const AuditLog = require("./models/AuditLog");
+const { recordAudit, verifyAuditChain } = require("./services/audit");
+const { changeStatus } = require("./services/statusMachine");
+const { startExpiryScheduler } = require("./services/expiry");
+const {
+  getRateSettings,
+  getCurrentRates,
+  setManualRates,
+  createQuote,
+  findLockableQuote,
+  lockQuote,
+  unlockQuote,
+  resolvePrice,
+  releaseQuote,
+} = require("./services/rates");
+const User = require("./models/User");
+const Complaint = require("./models/Complaint");
+const {
+  getKycTiers,
+  getWalletLimits,
+  checkLimits,
+} = require("./services/limits");
+const {
+  reconcileWithdrawals,
+  startReconciliation,
+} = require("./services/reconciliation");
+const { notifyAdmins, notifyTransaction } = require("./services/notifications");
+const { EVENTS, subscribeEvents, publishEvent } = require("./services/events");
+const {
+  createWebhookSecret,
+  validateEndpoint,
+  queueWebhookDeliveries,
+  replayDelivery,
+  startWebhookDispatcher,
+} = require("./services/webhooks");
+const WebhookEndpoint = require("./models/WebhookEndpoint");
+const WebhookDelivery = require("./models/WebhookDelivery");
+const { openEventStream, broadcastEvent } = require("./services/eventStream");
+const {
+  startNotificationDispatcher,
+} = require("./services/notificationDispatcher");
+const {
+  verifyTransaction,
+  verifyWithdrawal,
+  suspendAccount,
+  unsuspendAccount,
+  reviewAppeal,
+} = require("./services/adminActions");
+const {
+  suspensionInForce,
+  findSuspension,
+  migrateLegacySuspensions,
+} = require("./services/suspensions");
+const {
+  startTelegramBot,
+  handleTelegramWebhook,
+  createTelegramLinkCode,
+} = require("./services/telegramBot");
 
 
 
 // Validate environment variables
-const requiredEnvVars = [
-  "DEFENDER_API_KEY",
-  "DEFENDER_API_SECRET",
-  "RPC_URL",
-  "MONGO_URI",
-  "ADMIN_ADDRESS",
-  "FRONTEND_URL",
-  "PORT",
-  "WITHDRAWAL_CONTRACT_ADDRESS", 
-];
+const requiredEnvVars = ["MONGO_URI", "ADMIN_ADDRESS", "FRONTEND_URL", "PORT"];
 const missingEnvVars = requiredEnvVars.filter((key) => !process.env[key]);
 if (missingEnvVars.length > 0) {
   console.error("Missing environment variables:", missingEnvVars);
   process.exit(1);
 }
 
+// Per-chain RPC, relayer and contract settings (see config/chains.json)
+if (loadChains().size === 0) {
+  console.error("No chains configured, check config/chains.json and .env");
+  process.exit(1);
+}
+
 // Initialize Telegram bot (add TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID to .env)
 // just adding this
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
 
+// Integrator webhooks and /api/events streams hear about every published
+// event
+subscribeEvents(queueWebhookDeliveries);
+subscribeEvents(broadcastEvent);
+
 const app = express();
 
 
@@ -47,8 +146,7 @@ app.use(
     methods: ["POST", "GET", "OPTIONS"],
     allowedHeaders: [
       "Content-Type",
-      "adminAddress",
-      "signature",
+      "Authorization",
       "userAddress",
       "useraddress",
     ],
@@ -59,324 +157,986 @@ app.use(
 app.use(bodyParser.json({ limit: "10mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Credentials that must not end up in logs: session tokens and the Telegram
+// webhook secret
+const REDACTED_HEADERS = ["authorization", "x-telegram-bot-api-secret-token"];
+
 // Log incoming requests
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  console.log("Headers:", req.headers);
+  // /api/events takes the session token as ?token= (EventSource has no headers)
+  const url = req.url.replace(/([?&]token=)[^&]*/g, "$1[redacted]");
+  console.log(`[${new Date().toISOString()}] ${req.method} ${url}`);
+  const headers = { ...req.headers };
+  for (const name of REDACTED_HEADERS) {
+    if (headers[name]) headers[name] = "[redacted]";
+  }
+  console.log("Headers:", headers);
   console.log("Body:", req.body);
   next();
 });
 
 
+// ADMIN_ADDRESS seeds the first superadmin; later changes go through /api/admins
+const ensureBootstrapAdmin = async () => {
+  const address = process.env.ADMIN_ADDRESS.toLowerCase();
+  const existing = await Admin.findOne({ address });
+  if (!existing) {
+    const admin = await Admin.create({
+      address,
+      role: "superadmin",
+      changes: [{ action: "added", role: "superadmin", by: address }],
+    });
+    await recordAudit(null, {
+      action: "admin.bootstrap",
+      targetType: "Admin",
+      targetId: admin.address,
+      after: admin,
+    });
+    console.log("Bootstrap superadmin created:", address);
+  }
+};
+
 // MongoDB connection
 mongoose
   .connect(process.env.MONGO_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("MongoDB connected"))
+  .then(async () => {
+    console.log("MongoDB connected");
+    await ensureBootstrapAdmin();
+    await migrateLegacySuspensions();
+    await migrateWithdrawalTxHashes();
+    // Drops the old unique index on address, which would block keeping
+    // lifted suspensions
+    await Suspension.syncIndexes();
+    startIndexer({ getChains });
+    startReconciliation({ getChains });
+    startExpiryScheduler();
+    startNotificationDispatcher({ bot }).catch((error) =>
+      console.error("Notification dispatcher start error:", error.message)
+    );
+    startWebhookDispatcher().catch((error) =>
+      console.error("Webhook dispatcher start error:", error.message)
+    );
+    startTelegramBot({ bot, getChains }).catch((error) =>
+      console.error("Telegram bot start error:", error.message)
+    );
+    return startRelayWorker({ getChain });
+  })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
     process.exit(1);
   });
 
-// Initialize Relayer client
-const relaySigner = new Relayer({
-  apiKey: process.env.DEFENDER_API_KEY,
-  apiSecret: process.env.DEFENDER_API_SECRET,
-});
+const WithdrawalABI = require("./WithdrawalABI.json");
+const StakingContractABI = require("./StakingContractABI.json");
 
-// Initialize ethers provider
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-console.log("Using RPC_URL:", process.env.RPC_URL);
 
-const WithdrawalABI = require("./WithdrawalABI.json");
+// Telegram updates when TELEGRAM_UPDATES=webhook
+app.post("/telegram/webhook", handleTelegramWebhook(bot));
 
+// Sign-in: issue a SIWE message to sign. role is "admin" (default) or "user".
+app.post("/api/auth/challenge", async (req, res) => {
+  const { address, role = "admin" } = req.body;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid Ethereum address" });
+  }
+  if (!["admin", "user"].includes(role)) {
+    return res.status(400).json({ error: "Invalid role" });
+  }
 
-// Create withdrawal
-app.post("/api/create-withdrawal", async (req, res) => {
-  const { userId, usdtAmount, bankDetails, txHash } = req.body;
+  try {
+    const challenge = await createChallenge(address.toLowerCase(), role);
+    res.json(challenge);
+  } catch (error) {
+    console.error("Create challenge error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  // Validate inputs
-  if (
-    !ethers.isAddress(userId) ||
-    !usdtAmount ||
-    isNaN(usdtAmount) ||
-    usdtAmount <= 0 ||
-    !bankDetails ||
-    !bankDetails.bankName ||
-    !bankDetails.accountNumber ||
-    !bankDetails.accountName ||
-    !txHash ||
-    !/^0x[a-fA-F0-9]{64}$/.test(txHash)
-  ) {
-    console.error("Invalid withdrawal data:", req.body);
-    return res.status(400).json({ error: "Invalid withdrawal data" });
+// Sign-in: exchange the signed message for a session token
+app.post("/api/auth/verify", async (req, res) => {
+  const { message, signature } = req.body;
+  if (typeof message !== "string" || typeof signature !== "string") {
+    return res.status(400).json({ error: "Missing message or signature" });
   }
 
+  let address;
+  let role;
   try {
-    // Check suspension
-    const suspension = await Suspension.findOne({
-      address: userId.toLowerCase(),
-    });
-    if (suspension) {
-      return res.status(403).json({
-        error: `Account is suspended: ${suspension.reason}`,
-      });
-    }
+    ({ address, role } = await consumeChallenge(message, signature));
+  } catch (error) {
+    console.log("Challenge verification failed:", error.message);
+    return res.status(401).json({ error: error.message });
+  }
 
-    // Check for existing pending withdrawal
-    const pendingWithdrawal = await Withdrawal.findOne({
-      userId: userId.toLowerCase(),
-      status: "pending",
-    });
-    if (pendingWithdrawal) {
-      return res.status(400).json({
-        error: "You have a pending withdrawal. Please complete or cancel it.",
-        transactionId: pendingWithdrawal._id,
-      });
+  try {
+    // Signing proves wallet ownership, which is all a user session needs
+    if (role === "user") {
+      const session = await createSession(address, "user");
+      // Audited as the wallet that signed; the token is never recorded
+      await recordAudit(
+        { userAddress: address, ip: req.ip },
+        {
+          action: "session.create",
+          targetType: "Session",
+          targetId: address,
+          after: { role, expiresAt: session.expiresAt },
+        }
+      );
+      console.log("User session created:", address);
+      return res.json({ ...session, address, role });
     }
 
-    // Save withdrawal
-    const withdrawal = new Withdrawal({
-      userId: userId.toLowerCase(),
-      usdtAmount,
-      bankDetails,
-      txHash,
-      status: "pending",
-    });
-    await withdrawal.save();
-
-    // Send Telegram notification to admin
-    const message = `
-New Withdrawal Request
-Type: Withdrawal
-User: ${userId}
-USDT Amount: ${usdtAmount}
-Bank Details: 
-  Bank: ${bankDetails.bankName}
-  Account Number: ${bankDetails.accountNumber}
-  Account Name: ${bankDetails.accountName}
-Tx Hash: ${txHash}
-Status: Pending
-`;
-    await bot.sendMessage(process.env.TELEGRAM_CHAT_ID, message);
-
-    res.json({ transactionId: withdrawal._id });
+    const admin = await Admin.findOne({ address, active: true });
+    if (!admin) {
+      return res.status(403).json({ error: "Not authorized as admin" });
+    }
+    const session = await createSession(address, "admin");
+    await recordAudit(
+      { adminAddress: address, ip: req.ip },
+      {
+        action: "session.create",
+        targetType: "Session",
+        targetId: address,
+        after: { role: admin.role, expiresAt: session.expiresAt },
+      }
+    );
+    console.log("Admin session created:", address);
+    res.json({ ...session, address, role: admin.role });
   } catch (error) {
-    console.error("Create withdrawal error:", error.message);
+    console.error("Verify challenge error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Cancel withdrawal
-app.post("/api/cancel-withdrawal", async (req, res) => {
-  const { transactionId } = req.body;
-
-  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
-    console.error("Invalid withdrawal ID:", transactionId);
-    return res.status(400).json({ error: "Invalid withdrawal ID" });
+// Revoke this session, or all of the address's sessions with { all: true }
+app.post("/api/auth/logout", async (req, res) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: "Missing session token" });
   }
 
   try {
-    const withdrawal = await Withdrawal.findById(transactionId);
-    if (!withdrawal) {
-      console.error("Withdrawal not found:", transactionId);
-      return res.status(404).json({ error: "Withdrawal not found" });
+    const session = await findSession(token);
+    if (!session) {
+      return res.status(401).json({ error: "Invalid or expired session" });
     }
-    if (withdrawal.status !== "pending") {
-      console.error("Withdrawal not in pending status:", withdrawal.status);
-      return res
-        .status(400)
-        .json({ error: `Withdrawal is in ${withdrawal.status} status` });
-    }
-
-    await Withdrawal.findByIdAndDelete(transactionId);
-    console.log("Withdrawal cancelled:", transactionId);
-    res.json({ success: true, message: "Withdrawal cancelled successfully" });
+    const filter = req.body.all
+      ? { address: session.address, revokedAt: null }
+      : { _id: session._id };
+    const result = await Session.updateMany(filter, { revokedAt: Date.now() });
+    await recordAudit(
+      {
+        [session.role === "admin" ? "adminAddress" : "userAddress"]:
+          session.address,
+        ip: req.ip,
+      },
+      {
+        action: req.body.all ? "session.revoke-all" : "session.revoke",
+        targetType: "Session",
+        targetId: session.address,
+        after: { revoked: result.modifiedCount },
+      }
+    );
+    res.json({ success: true, revoked: result.modifiedCount });
   } catch (error) {
-    console.error("Cancel withdrawal error:", error.message);
+    console.error("Logout error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Verify withdrawal (admin only)
-app.post("/api/verify-withdrawal", adminMiddleware, async (req, res) => {
-  const { transactionId, status } = req.body;
+// Admin management (superadmin only)
+app.get("/api/admins", adminMiddleware("admins:read"), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json(admins);
+  } catch (error) {
+    console.error("Get admins error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
-    return res.status(400).json({ error: "Invalid withdrawal ID" });
+app.post("/api/admins", adminMiddleware("admins:write"), async (req, res) => {
+  const { address, role } = req.body;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid Ethereum address" });
   }
-  if (!["verified", "failed"].includes(status)) {
-    return res.status(400).json({ error: "Invalid status" });
+  if (!ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ error: `Invalid role, expected one of ${ROLES.join(", ")}` });
   }
 
   try {
-    const withdrawal = await Withdrawal.findById(transactionId);
-    if (!withdrawal) {
-      return res.status(404).json({ error: "Withdrawal not found" });
+    let admin = await Admin.findOne({ address: address.toLowerCase() });
+    if (admin && admin.active) {
+      return res.status(400).json({ error: "Address is already an admin" });
     }
-    if (withdrawal.status !== "pending" && withdrawal.status !== "awaiting verification") {
-      return res.status(400).json({
-        error: `Withdrawal is in ${withdrawal.status} status`,
+    const before = admin ? admin.toObject() : null;
+    if (admin) {
+      admin.active = true;
+      admin.role = role;
+      admin.changes.push({ action: "restored", role, by: req.adminAddress });
+    } else {
+      admin = new Admin({
+        address: address.toLowerCase(),
+        role,
+        changes: [{ action: "added", role, by: req.adminAddress }],
       });
     }
+    await admin.save();
+    await recordAudit(req, {
+      action: before ? "admin.restore" : "admin.add",
+      targetType: "Admin",
+      targetId: admin.address,
+      before,
+      after: admin,
+    });
+    console.log("Admin added:", { address, role, by: req.adminAddress });
+    res.json({ success: true, admin });
+  } catch (error) {
+    console.error("Add admin error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Refuses changes that would leave no active superadmin
+const isLastSuperadmin = async (admin) =>
+  admin.role === "superadmin" &&
+  (await Admin.countDocuments({ role: "superadmin", active: true })) <= 1;
+
+app.post(
+  "/api/admins/role",
+  adminMiddleware("admins:write"),
+  async (req, res) => {
+    const { address, role } = req.body;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid Ethereum address" });
+    }
+    if (!ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid role, expected one of ${ROLES.join(", ")}` });
+    }
 
-    withdrawal.status = status;
-    withdrawal.updatedAt = Date.now();
-    await withdrawal.save();
+    try {
+      const admin = await Admin.findOne({
+        address: address.toLowerCase(),
+        active: true,
+      });
+      if (!admin) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+      if (role !== "superadmin" && (await isLastSuperadmin(admin))) {
+        return res
+          .status(400)
+          .json({ error: "Cannot demote the last superadmin" });
+      }
 
-    // Notify user via Telegram (optional, if user has a Telegram ID stored)
-    if (status === "verified") {
-      await bot.sendMessage(
-        process.env.TELEGRAM_CHAT_ID,
-        `Withdrawal ${transactionId} verified for user ${withdrawal.userId}. Naira sent to ${withdrawal.bankDetails.accountName}.`
-      );
-    } else {
-      await bot.sendMessage(
-        process.env.TELEGRAM_CHAT_ID,
-        `Withdrawal ${transactionId} failed for user ${withdrawal.userId}.`
+      const before = admin.toObject();
+      admin.role = role;
+      admin.changes.push({
+        action: "role-changed",
+        role,
+        by: req.adminAddress,
+      });
+      await admin.save();
+      await recordAudit(req, {
+        action: "admin.role-change",
+        targetType: "Admin",
+        targetId: admin.address,
+        before,
+        after: admin,
+      });
+      console.log("Admin role changed:", {
+        address,
+        role,
+        by: req.adminAddress,
+      });
+      res.json({ success: true, admin });
+    } catch (error) {
+      console.error("Change admin role error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.post(
+  "/api/admins/remove",
+  adminMiddleware("admins:write"),
+  async (req, res) => {
+    const { address } = req.body;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid Ethereum address" });
+    }
+
+    try {
+      const admin = await Admin.findOne({
+        address: address.toLowerCase(),
+        active: true,
+      });
+      if (!admin) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+      if (await isLastSuperadmin(admin)) {
+        return res
+          .status(400)
+          .json({ error: "Cannot remove the last superadmin" });
+      }
+
+      const before = admin.toObject();
+      admin.active = false;
+      admin.changes.push({ action: "removed", by: req.adminAddress });
+      await admin.save();
+      // End their open sessions right away
+      await Session.updateMany(
+        { address: admin.address, revokedAt: null },
+        { revokedAt: Date.now() }
       );
+      await recordAudit(req, {
+        action: "admin.remove",
+        targetType: "Admin",
+        targetId: admin.address,
+        before,
+        after: admin,
+      });
+      console.log("Admin removed:", { address, by: req.adminAddress });
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Remove admin error:", error.message);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    res.json({ success: true });
+// The signed-in wallet's KYC tier, limits and remaining headroom
+app.get("/api/users/me", userMiddleware, async (req, res) => {
+  try {
+    const limits = await getWalletLimits(req.userAddress);
+    res.json({ address: req.userAddress, ...limits });
   } catch (error) {
-    console.error("Verify withdrawal error:", error.message);
+    console.error("Get user profile error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Check withdrawal status
-app.post("/api/check-withdrawal-status", async (req, res) => {
-  const { transactionId } = req.body;
-
-  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
-    return res.status(400).json({ error: "Invalid withdrawal ID" });
+// Start linking Telegram: the user sends "/start <code>" to the bot (or opens
+// `link`) to get their order updates in a private chat
+app.post("/api/users/telegram", userMiddleware, async (req, res) => {
+  try {
+    const link = await createTelegramLinkCode(req.userAddress);
+    // The code itself stays out of the log: it links whoever sends it first
+    await recordAudit(req, {
+      action: "user.telegram-code",
+      targetType: "User",
+      targetId: req.userAddress,
+      after: { telegramLinkExpiresAt: link.expiresAt },
+    });
+    res.json(link);
+  } catch (error) {
+    console.error("Create Telegram link error:", error.message);
+    res.status(500).json({ error: "Server error" });
   }
+});
 
+app.post("/api/users/telegram/unlink", userMiddleware, async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(transactionId);
-    if (!withdrawal) {
-      return res.status(404).json({ error: "Withdrawal not found" });
+    const before = await User.findOneAndUpdate(
+      { address: req.userAddress },
+      { $unset: { telegramChatId: 1 } }
+    );
+    if (before?.telegramChatId) {
+      await recordAudit(req, {
+        action: "user.telegram-unlink",
+        targetType: "User",
+        targetId: req.userAddress,
+        before: { telegramChatId: before.telegramChatId },
+        after: { telegramChatId: null },
+      });
     }
-    res.json({ status: withdrawal.status });
+    res.json({ success: true });
   } catch (error) {
-    console.error("Check withdrawal status error:", error.message);
+    console.error("Unlink Telegram error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Get withdrawals (user-specific or admin)
-app.get("/api/withdrawals", async (req, res) => {
-  const userAddress = req.headers.useraddress || req.headers.userAddress;
-  const adminAddress = req.headers.adminaddress || req.headers.adminAddress;
-  const signature = req.headers.signature;
-
-  console.log("Withdrawals request headers:", {
-    userAddress,
-    adminAddress,
-    signature,
-  });
+// Set a wallet's KYC tier (admin only)
+app.post("/api/users/kyc", adminMiddleware("users:write"), async (req, res) => {
+  const { address, kycTier } = req.body;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid Ethereum address" });
+  }
+  if (!Object.hasOwn(getKycTiers(), String(kycTier))) {
+    return res.status(400).json({
+      error: `Invalid kycTier, expected one of ${Object.keys(getKycTiers()).join(", ")}`,
+    });
+  }
 
   try {
-    // Admin access
-    if (adminAddress && signature) {
-      const message = "Admin access";
-      const signer = ethers.verifyMessage(message, signature).toLowerCase();
-      if (
-        signer === adminAddress.toLowerCase() &&
-        adminAddress.toLowerCase() === process.env.ADMIN_ADDRESS.toLowerCase()
-      ) {
-        const withdrawals = await Withdrawal.find().sort({ createdAt: -1 });
-        return res.json(withdrawals);
-      }
+    let user = await User.findOne({ address: address.toLowerCase() });
+    const before = user ? user.toObject() : null;
+    if (!user) {
+      user = new User({ address: address.toLowerCase() });
     }
+    user.kycTier = Number(kycTier);
+    user.kycUpdatedBy = req.adminAddress;
+    user.kycUpdatedAt = Date.now();
+    await user.save();
+    await recordAudit(req, {
+      action: "user.kyc",
+      targetType: "User",
+      targetId: user.address,
+      before,
+      after: user,
+    });
+    console.log("KYC tier set:", {
+      address: user.address,
+      kycTier: user.kycTier,
+      by: req.adminAddress,
+    });
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error("Set KYC tier error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // User access
-    if (!userAddress) {
-      console.error("Missing user address header");
-      return res.status(400).json({ error: "Missing user address" });
+// Current USDT/NGN rates
+app.get("/api/rates", async (req, res) => {
+  try {
+    const rates = await getCurrentRates();
+    if (!rates) {
+      return res
+        .status(503)
+        .json({ error: "Exchange rates are not available" });
     }
-    if (!ethers.isAddress(userAddress)) {
-      console.error("Invalid user address:", userAddress);
-      return res.status(400).json({ error: "Invalid user address" });
+    res.json({
+      buy: rates.buy,
+      sell: rates.sell,
+      feePercent: getRateSettings().feePercent,
+      source: rates.source,
+      updatedAt: rates.createdAt,
+    });
+  } catch (error) {
+    console.error("Get rates error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Set rates by hand (RATE_PROVIDER=manual only)
+app.post("/api/rates", adminMiddleware("rates:write"), async (req, res) => {
+  try {
+    const result = await setManualRates({
+      buy: Number(req.body.buy),
+      sell: Number(req.body.sell),
+      setBy: req.adminAddress,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    const suspension = await Suspension.findOne({
-      address: userAddress.toLowerCase(),
+    await recordAudit(req, {
+      action: "rates.set",
+      targetType: "ExchangeRate",
+      targetId: result.rates._id,
+      after: result.rates,
     });
-    if (suspension) {
-      return res.status(403).json({
-        error: `Account is suspended: ${suspension.reason}`,
+    res.json(result.rates);
+  } catch (error) {
+    console.error("Set rates error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Lock a price for QUOTE_TTL_MINUTES. side is "buy" (create-transaction) or
+// "sell" (create-withdrawal); pass the returned quoteId when creating. A sell
+// quote is required: send the USDT while it is valid, or through
+// /relay-withdrawal, which holds it while the transfer is relayed.
+app.post("/api/quotes", userMiddleware, async (req, res) => {
+  const { side, usdtAmount } = req.body;
+  if (!["buy", "sell"].includes(side)) {
+    return res.status(400).json({ error: "side must be buy or sell" });
+  }
+  if (!usdtAmount || isNaN(usdtAmount) || usdtAmount <= 0) {
+    return res.status(400).json({ error: "Invalid USDT amount" });
+  }
+
+  try {
+    const result = await createQuote({
+      userId: req.userAddress,
+      side,
+      usdtAmount: Number(usdtAmount),
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { quote } = result;
+
+    // A withdrawal's USDT moves before its record exists, so limits are
+    // checked here, while the user can still back out
+    if (side === "sell") {
+      const overLimit = await checkLimits({
+        userId: req.userAddress,
+        side,
+        usdtAmount: quote.usdtAmount,
+        nairaAmount: quote.nairaAmount,
       });
+      if (overLimit) {
+        const { status, ...body } = overLimit;
+        return res.status(status).json(body);
+      }
     }
-    const withdrawals = await Withdrawal.find({
-      userId: userAddress.toLowerCase(),
-    }).sort({ createdAt: -1 });
-    res.json(withdrawals);
+
+    res.json({
+      quoteId: quote._id,
+      side: quote.side,
+      usdtAmount: quote.usdtAmount,
+      rate: quote.rate,
+      fee: quote.fee,
+      nairaAmount: quote.nairaAmount,
+      expiresAt: quote.expiresAt,
+    });
   } catch (error) {
-    console.error("Get withdrawals error:", error.message);
+    console.error("Create quote error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// Create withdrawal
+app.post("/api/create-withdrawal", userMiddleware, async (req, res) => {
+  const { userId, usdtAmount, bankDetails, txHash, chainId, quoteId } =
+    req.body;
 
-// Create transaction
-app.post("/api/create-transaction", async (req, res) => {
-  const { userId, name, address, usdtAmount, nairaAmount } = req.body;
-
+  // Validate inputs
   if (
     !ethers.isAddress(userId) ||
-    !name ||
-    !ethers.isAddress(address) ||
+    !usdtAmount ||
     isNaN(usdtAmount) ||
-    isNaN(nairaAmount) ||
     usdtAmount <= 0 ||
-    nairaAmount <= 0
+    !bankDetails ||
+    !bankDetails.bankName ||
+    !bankDetails.accountNumber ||
+    !bankDetails.accountName ||
+    !txHash ||
+    !/^0x[a-fA-F0-9]{64}$/.test(txHash) ||
+    !mongoose.Types.ObjectId.isValid(quoteId)
   ) {
-    console.error("Invalid transaction data:", req.body);
-    return res.status(400).json({ error: "Invalid transaction data" });
+    console.error("Invalid withdrawal data:", req.body);
+    return res.status(400).json({ error: "Invalid withdrawal data" });
+  }
+  if (userId.toLowerCase() !== req.userAddress) {
+    return res
+      .status(403)
+      .json({ error: "userId does not match the signed-in wallet" });
+  }
+
+  const chain = chainId ? getChain(chainId) : getDefaultChain();
+  if (!chain) {
+    return res.status(400).json({ error: `Unsupported chainId ${chainId}` });
   }
 
+  let price;
+  let claimedQuoteId;
+  let withdrawal;
   try {
-    const suspension = await Suspension.findOne({
-      address: userId.toLowerCase(),
+    // Each on-chain transfer can back only one withdrawal. One that
+    // reconciliation filed from the event is still the user's to take over.
+    const usedWithdrawal = await Withdrawal.findOne({
+      txHash: new RegExp(`^${txHash}$`, "i"),
     });
-    if (suspension) {
-      return res.status(403).json({
-        error: `Account is suspended: ${suspension.reason}`,
-      });
+    const reconciled =
+      usedWithdrawal?.source === "reconciliation" &&
+      usedWithdrawal.userId === userId.toLowerCase() &&
+      usedWithdrawal.status === "pending"
+        ? usedWithdrawal
+        : null;
+    if (usedWithdrawal && !reconciled) {
+      return res
+        .status(409)
+        .json({ error: "Transaction hash already used by another withdrawal" });
     }
 
-    // Check for existing pending transactions
-    const pendingTransaction = await Transaction.findOne({
-      userId: userId.toLowerCase(),
-      status: "pending",
+    // Trust the receipt, not the request body
+    const verification = await verifyWithdrawalTx({
+      chain,
+      txHash,
+      userId,
+      usdtAmount,
+      bankDetails,
     });
-    if (pendingTransaction) {
-      return res.status(400).json({
-        error:
-          "You have a pending transaction. Please complete or cancel it before creating a new one.",
-        transactionId: pendingTransaction._id,
+    if (verification.error) {
+      console.error("Withdrawal transaction rejected:", {
+        txHash,
+        error: verification.error,
+      });
+      return res.status(verification.status).json({
+        error: verification.error,
+        confirmations: verification.confirmations,
+        required: verification.required,
       });
     }
 
-    const transaction = new Transaction({
+    // The payout is the quote's, locked before the USDT moved; the receipt
+    // check above has already matched the on-chain amount to usdtAmount.
+    // Reconciliation may have claimed the same quote for its record already.
+    if (reconciled?.quoteId?.equals(quoteId)) {
+      const { rate, feePercent, fee, nairaAmount, rateId } = reconciled;
+      price = { rate, feePercent, fee, nairaAmount, rateId, quoteId };
+    } else {
+      const pricing = await resolvePrice({
+        userId: req.userAddress,
+        side: "sell",
+        usdtAmount,
+        quoteId,
+        pricedAt: verification.blockTime,
+      });
+      if (pricing.error) {
+        return res.status(pricing.status).json({ error: pricing.error });
+      }
+      price = pricing.price;
+      claimedQuoteId = price.quoteId;
+    }
+
+    // Suspension, pending withdrawals and limits were checked before any
+    // relay. The USDT has moved by now, so a withdrawal that breaks one of
+    // those rules is kept for review instead of refused.
+    const flags = [];
+    const suspension = await findSuspension(userId, ["withdrawals"]);
+    if (suspension) {
+      flags.push(`Account is suspended: ${suspension.reason}`);
+    }
+    const pendingWithdrawal = await Withdrawal.findOne({
+      ...(reconciled && { _id: { $ne: reconciled._id } }),
       userId: userId.toLowerCase(),
-      name,
-      address: address.toLowerCase(),
-      usdtAmount,
-      nairaAmount,
       status: "pending",
     });
+    if (pendingWithdrawal) {
+      flags.push(`Withdrawal ${pendingWithdrawal._id} was still pending`);
+    }
+    const overLimit = await checkLimits({
+      userId: req.userAddress,
+      side: "sell",
+      usdtAmount,
+      nairaAmount: price.nairaAmount,
+    });
+    if (overLimit) flags.push(overLimit.error);
+
+    const fields = {
+      usdtAmount,
+      ...price,
+      bankDetails,
+      txHash,
+      chainId: chain.chainId,
+      blockNumber: verification.blockNumber,
+      flaggedReason: flags.join("; ") || undefined,
+    };
+    if (reconciled) {
+      // The user's request replaces what reconciliation read off the event
+      withdrawal = await Withdrawal.findOneAndUpdate(
+        { _id: reconciled._id, source: "reconciliation", status: "pending" },
+        {
+          $set: { ...fields, source: "user", updatedAt: Date.now() },
+          ...(!fields.flaggedReason && { $unset: { flaggedReason: 1 } }),
+        },
+        { new: true, runValidators: true }
+      );
+      if (!withdrawal) {
+        if (claimedQuoteId) await releaseQuote(claimedQuoteId);
+        return res.status(409).json({
+          error: "Transaction hash already used by another withdrawal",
+        });
+      }
+      if (reconciled.quoteId && !reconciled.quoteId.equals(quoteId)) {
+        await releaseQuote(reconciled.quoteId);
+      }
+    } else {
+      withdrawal = new Withdrawal({
+        userId: userId.toLowerCase(),
+        ...fields,
+        status: "pending",
+        statusHistory: [{ to: "pending", by: req.userAddress }],
+      });
+      await withdrawal.save();
+    }
+    await recordAudit(req, {
+      action: "withdrawal.create",
+      targetType: "Withdrawal",
+      targetId: withdrawal._id,
+      before: reconciled,
+      after: withdrawal,
+    });
+
+    await notifyAdmins("withdrawal.created", { withdrawal });
+    await publishEvent("withdrawal.created", { withdrawal });
+
+    res.json({
+      transactionId: withdrawal._id,
+      nairaAmount: price.nairaAmount,
+      rate: price.rate,
+      flaggedReason: withdrawal.flaggedReason,
+    });
+  } catch (error) {
+    // The quote was claimed for a withdrawal that was never saved
+    if (claimedQuoteId && (!withdrawal || withdrawal.isNew)) {
+      await releaseQuote(claimedQuoteId);
+    }
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "Transaction hash already used by another withdrawal" });
+    }
+    console.error("Create withdrawal error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Cancel withdrawal
+app.post("/api/cancel-withdrawal", userMiddleware, async (req, res) => {
+  const { transactionId, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+    console.error("Invalid withdrawal ID:", transactionId);
+    return res.status(400).json({ error: "Invalid withdrawal ID" });
+  }
+
+  try {
+    const withdrawal = await Withdrawal.findById(transactionId);
+    if (!withdrawal) {
+      console.error("Withdrawal not found:", transactionId);
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (!ownsRecord(req, withdrawal.userId)) {
+      return res.status(403).json({ error: "Not your withdrawal" });
+    }
+
+    const rejected = await changeStatus(req, withdrawal, "cancelled", {
+      action: "withdrawal.cancel",
+      by: req.userAddress,
+      reason,
+    });
+    if (rejected) {
+      return res.status(rejected.status).json({ error: rejected.error });
+    }
+    console.log("Withdrawal cancelled:", transactionId);
+    res.json({ success: true, message: "Withdrawal cancelled successfully" });
+  } catch (error) {
+    console.error("Cancel withdrawal error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Verify withdrawal (admin only)
+app.post(
+  "/api/verify-withdrawal",
+  adminMiddleware("withdrawals:verify"),
+  async (req, res) => {
+    const { transactionId, status, reason } = req.body;
+
+    try {
+      // Same logic as the Telegram Approve/Reject buttons
+      const result = await verifyWithdrawal(req, {
+        transactionId,
+        status,
+        reason,
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Verify withdrawal error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Withdrawal records vs WithdrawalInitiated events (admin only). Read-only:
+// the background job is what creates missing records.
+app.get(
+  "/api/reconciliation-report",
+  adminMiddleware("reports:read"),
+  async (req, res) => {
+    try {
+      const chains = req.query.chainId
+        ? [getChain(req.query.chainId)].filter(Boolean)
+        : getChains();
+      const report = await reconcileWithdrawals(chains);
+      res.json(report);
+    } catch (error) {
+      console.error("Reconciliation report error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Check withdrawal status
+app.post(
+  "/api/check-withdrawal-status",
+  userOrAdminMiddleware("withdrawals:read"),
+  async (req, res) => {
+    const { transactionId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+      return res.status(400).json({ error: "Invalid withdrawal ID" });
+    }
+
+    try {
+      const withdrawal = await Withdrawal.findById(transactionId);
+      if (!withdrawal) {
+        return res.status(404).json({ error: "Withdrawal not found" });
+      }
+      if (!ownsRecord(req, withdrawal.userId)) {
+        return res.status(403).json({ error: "Not your withdrawal" });
+      }
+      res.json({ status: withdrawal.status });
+    } catch (error) {
+      console.error("Check withdrawal status error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Get withdrawals (user-specific or admin)
+app.get(
+  "/api/withdrawals",
+  userOrAdminMiddleware("withdrawals:read"),
+  async (req, res) => {
+    const { userAddress } = req;
+
+    console.log("Withdrawals request:", {
+      userAddress,
+      adminAddress: req.adminAddress,
+    });
+
+    try {
+      // Admin access
+      if (req.adminAddress) {
+        const withdrawals = await Withdrawal.find().sort({ createdAt: -1 });
+        return res.json(withdrawals);
+      }
+
+      // User access, scoped to the signed-in wallet
+      const suspension = await findSuspension(userAddress, ["withdrawals"]);
+      if (suspension) {
+        return res.status(403).json({
+          error: `Account is suspended: ${suspension.reason}`,
+        });
+      }
+      const withdrawals = await Withdrawal.find({ userId: userAddress }).sort({
+        createdAt: -1,
+      });
+      res.json(withdrawals);
+    } catch (error) {
+      console.error("Get withdrawals error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+
+// Create transaction
+app.post("/api/create-transaction", userMiddleware, async (req, res) => {
+  // nairaAmount is computed from the current rate or the locked quote
+  const { userId, name, address, usdtAmount, quoteId } = req.body;
+
+  if (
+    !ethers.isAddress(userId) ||
+    !name ||
+    !ethers.isAddress(address) ||
+    isNaN(usdtAmount) ||
+    usdtAmount <= 0 ||
+    (quoteId && !mongoose.Types.ObjectId.isValid(quoteId))
+  ) {
+    console.error("Invalid transaction data:", req.body);
+    return res.status(400).json({ error: "Invalid transaction data" });
+  }
+  if (userId.toLowerCase() !== req.userAddress) {
+    return res
+      .status(403)
+      .json({ error: "userId does not match the signed-in wallet" });
+  }
+
+  let price;
+  try {
+    const suspension = await findSuspension(userId, ["buys"]);
+    if (suspension) {
+      return res.status(403).json({
+        error: `Account is suspended: ${suspension.reason}`,
+      });
+    }
+
+    // Check for existing pending transactions
+    const pendingTransaction = await Transaction.findOne({
+      userId: userId.toLowerCase(),
+      status: "pending",
+    });
+    if (pendingTransaction) {
+      return res.status(400).json({
+        error:
+          "You have a pending transaction. Please complete or cancel it before creating a new one.",
+        transactionId: pendingTransaction._id,
+      });
+    }
+
+    const pricing = await resolvePrice({
+      userId: req.userAddress,
+      side: "buy",
+      usdtAmount,
+      quoteId,
+    });
+    if (pricing.error) {
+      return res.status(pricing.status).json({ error: pricing.error });
+    }
+    price = pricing.price;
+
+    const overLimit = await checkLimits({
+      userId: req.userAddress,
+      side: "buy",
+      usdtAmount,
+      nairaAmount: price.nairaAmount,
+    });
+    if (overLimit) {
+      if (price.quoteId) await releaseQuote(price.quoteId);
+      const { status, ...body } = overLimit;
+      return res.status(status).json(body);
+    }
+
+    const transaction = new Transaction({
+      userId: userId.toLowerCase(),
+      name,
+      address: address.toLowerCase(),
+      usdtAmount,
+      ...price,
+      status: "pending",
+      statusHistory: [{ to: "pending", by: req.userAddress }],
+    });
     await transaction.save();
-    res.json({ transactionId: transaction._id });
+    await recordAudit(req, {
+      action: "transaction.create",
+      targetType: "Transaction",
+      targetId: transaction._id,
+      after: transaction,
+    });
+    await notifyTransaction(transaction, "created");
+    await publishEvent("transaction.created", { transaction });
+    res.json({
+      transactionId: transaction._id,
+      nairaAmount: price.nairaAmount,
+      rate: price.rate,
+    });
   } catch (error) {
+    // Only the save can fail after pricing, so the quote was never used
+    if (price?.quoteId) {
+      await releaseQuote(price.quoteId);
+    }
     console.error("Create transaction error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
-app.post("/api/cancel-transaction", async (req, res) => {
-  const { transactionId } = req.body;
+app.post("/api/cancel-transaction", userMiddleware, async (req, res) => {
+  const { transactionId, reason } = req.body;
 
   if (!mongoose.Types.ObjectId.isValid(transactionId)) {
     console.error("Invalid transaction ID:", transactionId);
@@ -389,14 +1149,19 @@ app.post("/api/cancel-transaction", async (req, res) => {
       console.error("Transaction not found:", transactionId);
       return res.status(404).json({ error: "Transaction not found" });
     }
-    if (transaction.status !== "pending") {
-      console.error("Transaction not in pending status:", transaction.status);
-      return res
-        .status(400)
-        .json({ error: `Transaction is in ${transaction.status} status` });
+    if (!ownsRecord(req, transaction.userId)) {
+      return res.status(403).json({ error: "Not your transaction" });
     }
 
-    await Transaction.findByIdAndDelete(transactionId);
+    const rejected = await changeStatus(req, transaction, "cancelled", {
+      action: "transaction.cancel",
+      by: req.userAddress,
+      reason,
+    });
+    if (rejected) {
+      return res.status(rejected.status).json({ error: rejected.error });
+    }
+    await notifyTransaction(transaction, "cancelled");
     console.log("Transaction cancelled:", transactionId);
     res.json({ success: true, message: "Transaction cancelled successfully" });
   } catch (error) {
@@ -406,7 +1171,7 @@ app.post("/api/cancel-transaction", async (req, res) => {
 });
 
 // Mark transaction as paid
-app.post("/api/mark-paid", async (req, res) => {
+app.post("/api/mark-paid", userMiddleware, async (req, res) => {
   const { transactionId } = req.body;
 
   if (!mongoose.Types.ObjectId.isValid(transactionId)) {
@@ -420,16 +1185,24 @@ app.post("/api/mark-paid", async (req, res) => {
       console.error("Transaction not found:", transactionId);
       return res.status(404).json({ error: "Transaction not found" });
     }
-    if (transaction.status !== "pending") {
-      console.error("Transaction not in pending status:", transaction.status);
-      return res
-        .status(400)
-        .json({ error: `Transaction is in ${transaction.status} status` });
+    if (!ownsRecord(req, transaction.userId)) {
+      return res.status(403).json({ error: "Not your transaction" });
     }
 
-    transaction.status = "awaiting verification";
-    transaction.updatedAt = Date.now();
-    await transaction.save();
+    const rejected = await changeStatus(
+      req,
+      transaction,
+      "awaiting verification",
+      {
+        action: "transaction.mark-paid",
+        by: req.userAddress,
+      }
+    );
+    if (rejected) {
+      return res.status(rejected.status).json({ error: rejected.error });
+    }
+    // Carries Approve/Reject buttons for the admin chat
+    await notifyTransaction(transaction, "awaiting verification");
 
     console.log("Transaction marked as paid:", transactionId);
     res.json({ success: true, transactionId });
@@ -440,182 +1213,953 @@ app.post("/api/mark-paid", async (req, res) => {
 });
 
 // Verify transaction (admin only)
-app.post("/api/verify-transaction", adminMiddleware, async (req, res) => {
-  const { transactionId, status } = req.body;
+app.post(
+  "/api/verify-transaction",
+  adminMiddleware("transactions:verify"),
+  async (req, res) => {
+    const { transactionId, status, reason } = req.body;
 
-  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
-    return res.status(400).json({ error: "Invalid transaction ID" });
+    try {
+      // Same logic as the Telegram Approve/Reject buttons
+      const result = await verifyTransaction(req, {
+        transactionId,
+        status,
+        reason,
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Verify transaction error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-  if (!["verified", "failed"].includes(status)) {
-    return res.status(400).json({ error: "Invalid status" });
+);
+
+// Get transactions (user-specific or admin)
+app.get(
+  "/api/transactions",
+  userOrAdminMiddleware("transactions:read"),
+  async (req, res) => {
+    const { userAddress } = req;
+
+    console.log("Transactions request:", {
+      userAddress,
+      adminAddress: req.adminAddress,
+    });
+
+    try {
+      // Admin access
+      if (req.adminAddress) {
+        const transactions = await Transaction.find().sort({ createdAt: -1 });
+        return res.json(transactions);
+      }
+
+      // User access, scoped to the signed-in wallet
+      const suspension = await findSuspension(userAddress, ["buys"]);
+      if (suspension) {
+        return res.status(403).json({
+          error: `Account is suspended: ${suspension.reason}`,
+        });
+      }
+      const transactions = await Transaction.find({ userId: userAddress }).sort(
+        {
+          createdAt: -1,
+        }
+      );
+      res.json(transactions);
+    } catch (error) {
+      console.error("Get transactions error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
   }
+);
 
-  try {
-    const transaction = await Transaction.findById(transactionId);
-    if (!transaction) {
-      return res.status(404).json({ error: "Transaction not found" });
+// Check transaction status
+app.post(
+  "/api/check-status",
+  userOrAdminMiddleware("transactions:read"),
+  async (req, res) => {
+    const { transactionId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+      return res.status(400).json({ error: "Invalid transaction ID" });
     }
-    if (transaction.status !== "awaiting verification") {
-      return res.status(400).json({
-        error: `Transaction is in ${transaction.status} status`,
+
+    try {
+      const transaction = await Transaction.findById(transactionId);
+      if (!transaction) {
+        return res.status(404).json({ error: "Transaction not found" });
+      }
+      if (!ownsRecord(req, transaction.userId)) {
+        return res.status(403).json({ error: "Not your transaction" });
+      }
+      res.json({ status: transaction.status });
+    } catch (error) {
+      console.error("Check status error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Suspension Routes
+// Public: the suspensions in force for an address. reason/suspendedAt
+// describe the latest one.
+app.get("/api/check-suspension/:address", async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid Ethereum address" });
+  }
+  try {
+    const suspensions = await Suspension.find({
+      address: address.toLowerCase(),
+      ...suspensionInForce(),
+    }).sort({ suspendedAt: -1 });
+    const [latest] = suspensions;
+    res.json({
+      isSuspended: suspensions.length > 0,
+      reason: latest ? latest.reason : null,
+      suspendedAt: latest ? latest.suspendedAt : null,
+      suspensions: suspensions.map((suspension) => ({
+        id: suspension._id,
+        scope: suspension.scope,
+        reason: suspension.reason,
+        suspendedAt: suspension.suspendedAt,
+        expiresAt: suspension.expiresAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Check suspension error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// scope: full (default), relay, withdrawals or buys. expiresAt (ISO date)
+// makes the suspension temporary.
+app.post(
+  "/api/suspend",
+  adminMiddleware("suspensions:write"),
+  async (req, res) => {
+    const { address, reason, scope, expiresAt } = req.body;
+    try {
+      const result = await suspendAccount(req, {
+        address,
+        reason,
+        scope,
+        expiresAt,
       });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({
+        success: true,
+        message: `Account ${address} suspended`,
+        suspension: result.suspension,
+      });
+    } catch (error) {
+      console.error("Suspend error:", error.message);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    transaction.status = status;
-    transaction.updatedAt = Date.now();
-    await transaction.save();
+// Lifts every active suspension of the address, or only the one for scope.
+// The suspensions are kept as history.
+app.post(
+  "/api/unsuspend",
+  adminMiddleware("suspensions:write"),
+  async (req, res) => {
+    const { address, scope, reason } = req.body;
+    try {
+      const result = await unsuspendAccount(req, { address, scope, reason });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true, message: `Account ${address} unsuspended` });
+    } catch (error) {
+      console.error("Unsuspend error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    res.json({ success: true });
+// The signed-in wallet's suspensions, past and present, with their appeals
+app.get("/api/suspensions/me", userMiddleware, async (req, res) => {
+  try {
+    const suspensions = await Suspension.find({
+      address: req.userAddress,
+    }).sort({ suspendedAt: -1 });
+    res.json(suspensions);
   } catch (error) {
-    console.error("Verify transaction error:", error.message);
+    console.error("Get own suspensions error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Get transactions (user-specific or admin)
-app.get("/api/transactions", async (req, res) => {
-  const userAddress = req.headers.useraddress || req.headers.userAddress;
-  const adminAddress = req.headers.adminaddress || req.headers.adminAddress;
-  const signature = req.headers.signature;
-
-  console.log("Transactions request headers:", {
-    userAddress,
-    adminAddress,
-    signature,
-  });
+// A user asks for one of their suspensions to be lifted. One pending appeal
+// at a time, at most MAX_APPEALS per suspension.
+const MAX_APPEALS = 3;
+
+app.post("/api/suspensions/:id/appeal", userMiddleware, async (req, res) => {
+  const { message } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "Invalid suspension ID" });
+  }
+  if (!isValidMessage(message)) {
+    return res.status(400).json({ error: "Invalid message" });
+  }
 
   try {
-    // Admin access
-    if (adminAddress && signature) {
-      const message = "Admin access";
-      const signer = ethers.verifyMessage(message, signature).toLowerCase();
-      if (
-        signer === adminAddress.toLowerCase() &&
-        adminAddress.toLowerCase() === process.env.ADMIN_ADDRESS.toLowerCase()
-      ) {
-        const transactions = await Transaction.find().sort({ createdAt: -1 });
-        return res.json(transactions);
-      }
+    const suspension = await Suspension.findOne({
+      _id: req.params.id,
+      ...suspensionInForce(),
+    });
+    if (!suspension) {
+      return res.status(404).json({ error: "Suspension not found" });
     }
-
-    // User access
-    if (!userAddress) {
-      console.error("Missing user address header");
-      return res.status(400).json({ error: "Missing user address" });
+    if (suspension.address !== req.userAddress) {
+      return res.status(403).json({ error: "Not your suspension" });
     }
-    if (!ethers.isAddress(userAddress)) {
-      console.error("Invalid user address:", userAddress);
-      return res.status(400).json({ error: "Invalid user address" });
+    if (suspension.appeals.some((appeal) => appeal.status === "pending")) {
+      return res
+        .status(400)
+        .json({ error: "An appeal is already waiting for review" });
     }
-    const suspension = await Suspension.findOne({
-      address: userAddress.toLowerCase(),
+    if (suspension.appeals.length >= MAX_APPEALS) {
+      return res.status(400).json({ error: "No appeals left" });
+    }
+
+    const before = suspension.toObject();
+    suspension.appeals.push({ message });
+    await suspension.save();
+    await recordAudit(req, {
+      action: "suspension.appeal",
+      targetType: "Suspension",
+      targetId: suspension.address,
+      before,
+      after: suspension,
     });
-    if (suspension) {
-      return res.status(403).json({
-        error: `Account is suspended: ${suspension.reason}`,
+    await notifyAdmins("suspension.appeal", { suspension, message });
+    res.json({ success: true, suspension });
+  } catch (error) {
+    console.error("Appeal suspension error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// decision: accepted (lifts the suspension) or rejected, with an optional
+// response for the user
+app.post(
+  "/api/suspensions/:id/appeal/review",
+  adminMiddleware("suspensions:write"),
+  async (req, res) => {
+    const { decision, response } = req.body;
+    try {
+      const result = await reviewAppeal(req, {
+        suspensionId: req.params.id,
+        decision,
+        response,
       });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true, suspension: result.suspension });
+    } catch (error) {
+      console.error("Review appeal error:", error.message);
+      res.status(500).json({ error: "Server error" });
     }
-    const transactions = await Transaction.find({
-      userId: userAddress.toLowerCase(),
-    }).sort({ createdAt: -1 });
-    res.json(transactions);
+  }
+);
+
+// Filters for indexed contract events: chainId, contract, name, address,
+// fromBlock, toBlock
+const buildChainEventQuery = (query) => {
+  const filter = {};
+  if (query.chainId) filter.chainId = Number(query.chainId);
+  if (query.contract) filter.contract = query.contract;
+  if (query.name) filter.name = query.name;
+  if (query.address && ethers.isAddress(query.address)) {
+    filter.addresses = query.address.toLowerCase();
+  }
+  if (query.fromBlock || query.toBlock) {
+    filter.blockNumber = {};
+    if (query.fromBlock) filter.blockNumber.$gte = Number(query.fromBlock);
+    if (query.toBlock) filter.blockNumber.$lte = Number(query.toBlock);
+  }
+  return filter;
+};
+
+const getPagination = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Indexed contract events across all wallets (admin only)
+app.get(
+  "/api/chain-events",
+  adminMiddleware("reports:read"),
+  async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    try {
+      const filter = buildChainEventQuery(req.query);
+      const [events, total] = await Promise.all([
+        ChainEvent.find(filter)
+          .sort({ blockNumber: -1, logIndex: -1 })
+          .skip(skip)
+          .limit(limit),
+        ChainEvent.countDocuments(filter),
+      ]);
+      res.json({ events, total, page, limit });
+    } catch (error) {
+      console.error("Get chain events error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// On-chain history for one wallet
+app.get("/api/user-events", userMiddleware, async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+  try {
+    const filter = {
+      ...buildChainEventQuery(req.query),
+      addresses: req.userAddress,
+    };
+    const [events, total] = await Promise.all([
+      ChainEvent.find(filter)
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChainEvent.countDocuments(filter),
+    ]);
+    res.json({ events, total, page, limit });
   } catch (error) {
-    console.error("Get transactions error:", error.message);
+    console.error("Get user events error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Check transaction status
-app.post("/api/check-status", async (req, res) => {
-  const { transactionId } = req.body;
+// EventSource cannot send headers, so the stream also takes ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Live status updates as Server-Sent Events, one "event:" per published event
+// (see services/events.js). Users get their own Transaction, Withdrawal and
+// relay-job events; admins get every event their role may read.
+app.get(
+  "/api/events",
+  tokenFromQuery,
+  userOrAdminMiddleware("reports:read"),
+  openEventStream
+);
+
+// Complaint / support ticket routes
+const COMPLAINT_CATEGORIES = Complaint.schema.path("category").enumValues;
+const COMPLAINT_PRIORITIES = Complaint.schema.path("priority").enumValues;
+const RELATED_MODELS = { Transaction, Withdrawal };
+
+// Loads the ticket for /api/complaints/:id routes. Sends 400/404/403 and
+// returns null when the caller may not see it.
+const loadComplaint = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: "Invalid complaint ID" });
+    return null;
+  }
+  const complaint = await Complaint.findById(req.params.id);
+  if (!complaint) {
+    res.status(404).json({ error: "Complaint not found" });
+    return null;
+  }
+  if (!ownsRecord(req, complaint.userId)) {
+    res.status(403).json({ error: "Not your complaint" });
+    return null;
+  }
+  return complaint;
+};
+
+const isValidMessage = (message) =>
+  typeof message === "string" &&
+  message.trim().length > 0 &&
+  message.length <= 5000;
+
+app.post("/api/complaints", userMiddleware, async (req, res) => {
+  const { category, subject, message, relatedType, relatedId } = req.body;
+  if (!COMPLAINT_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      error: `Invalid category, expected one of ${COMPLAINT_CATEGORIES.join(", ")}`,
+    });
+  }
+  if (typeof subject !== "string" || !subject.trim() || subject.length > 200) {
+    return res.status(400).json({ error: "Invalid subject" });
+  }
+  if (!isValidMessage(message)) {
+    return res.status(400).json({ error: "Invalid message" });
+  }
+  if (
+    relatedId &&
+    (!RELATED_MODELS[relatedType] ||
+      !mongoose.Types.ObjectId.isValid(relatedId))
+  ) {
+    return res.status(400).json({ error: "Invalid related record" });
+  }
+
+  try {
+    if (relatedId) {
+      const record = await RELATED_MODELS[relatedType].findById(relatedId);
+      if (!record || record.userId !== req.userAddress) {
+        return res
+          .status(404)
+          .json({ error: `${relatedType} not found for this wallet` });
+      }
+    }
+
+    const complaint = await Complaint.create({
+      userId: req.userAddress,
+      relatedType: relatedId ? relatedType : undefined,
+      relatedId: relatedId || undefined,
+      category,
+      subject: subject.trim(),
+      messages: [
+        { author: req.userAddress, authorRole: "user", body: message.trim() },
+      ],
+    });
+    await recordAudit(req, {
+      action: "complaint.open",
+      targetType: "Complaint",
+      targetId: complaint._id,
+      after: complaint,
+    });
+    await notifyAdmins("complaint.alert", {
+      complaint,
+      heading: "New Complaint",
+    });
+    res.json({ complaintId: complaint._id });
+  } catch (error) {
+    console.error("Create complaint error:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Users see their own tickets; admins see all, filtered by status, priority,
+// category, assignedTo or userId
+app.get(
+  "/api/complaints",
+  userOrAdminMiddleware("complaints:read"),
+  async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.priority) filter.priority = req.query.priority;
+    if (req.query.category) filter.category = req.query.category;
+    if (req.adminAddress) {
+      if (req.query.assignedTo) {
+        filter.assignedTo = req.query.assignedTo.toLowerCase();
+      }
+      if (req.query.userId) filter.userId = req.query.userId.toLowerCase();
+    } else {
+      filter.userId = req.userAddress;
+    }
+
+    try {
+      const [complaints, total] = await Promise.all([
+        Complaint.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+        Complaint.countDocuments(filter),
+      ]);
+      res.json({ complaints, total, page, limit });
+    } catch (error) {
+      console.error("Get complaints error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.get(
+  "/api/complaints/:id",
+  userOrAdminMiddleware("complaints:read"),
+  async (req, res) => {
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (complaint) res.json(complaint);
+    } catch (error) {
+      console.error("Get complaint error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Add to the thread. An admin reply moves an open ticket to in-progress; a
+// user reply reopens a resolved one.
+app.post(
+  "/api/complaints/:id/messages",
+  userOrAdminMiddleware("complaints:write"),
+  async (req, res) => {
+    const { message } = req.body;
+    if (!isValidMessage(message)) {
+      return res.status(400).json({ error: "Invalid message" });
+    }
+
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+
+      const before = complaint.toObject();
+      const authorRole = req.adminAddress ? "admin" : "user";
+      complaint.messages.push({
+        author: req.adminAddress || req.userAddress,
+        authorRole,
+        body: message.trim(),
+      });
+      if (authorRole === "admin" && complaint.status === "open") {
+        complaint.status = "in-progress";
+      }
+      if (authorRole === "user" && complaint.status === "resolved") {
+        complaint.status = "open";
+        complaint.resolvedAt = undefined;
+      }
+      await complaint.save();
+      await recordAudit(req, {
+        action: "complaint.reply",
+        targetType: "Complaint",
+        targetId: complaint._id,
+        before,
+        after: complaint,
+      });
+      res.json({ success: true, complaint });
+    } catch (error) {
+      console.error("Reply to complaint error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Raise to urgent and alert the admin chat; the owner or an admin may do this
+app.post(
+  "/api/complaints/:id/escalate",
+  userOrAdminMiddleware("complaints:write"),
+  async (req, res) => {
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+      if (complaint.status === "resolved") {
+        return res
+          .status(400)
+          .json({ error: "Cannot escalate a resolved complaint" });
+      }
+      if (complaint.priority === "urgent") {
+        return res.status(400).json({ error: "Complaint is already urgent" });
+      }
+
+      const before = complaint.toObject();
+      complaint.priority = "urgent";
+      complaint.escalatedAt = Date.now();
+      await complaint.save();
+      await recordAudit(req, {
+        action: "complaint.escalate",
+        targetType: "Complaint",
+        targetId: complaint._id,
+        before,
+        after: complaint,
+      });
+      await notifyAdmins("complaint.alert", {
+        complaint,
+        heading: "Complaint Escalated",
+      });
+      res.json({ success: true, complaint });
+    } catch (error) {
+      console.error("Escalate complaint error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Assign to an admin, and optionally change priority (admin only)
+app.post(
+  "/api/complaints/:id/assign",
+  adminMiddleware("complaints:write"),
+  async (req, res) => {
+    const { assignedTo, priority } = req.body;
+    if (!ethers.isAddress(assignedTo)) {
+      return res.status(400).json({ error: "Invalid assignee address" });
+    }
+    if (priority && !COMPLAINT_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: "Invalid priority" });
+    }
+
+    try {
+      const assignee = await Admin.findOne({
+        address: assignedTo.toLowerCase(),
+        active: true,
+      });
+      if (!assignee) {
+        return res.status(404).json({ error: "Assignee is not an admin" });
+      }
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+      if (complaint.status === "resolved") {
+        return res
+          .status(400)
+          .json({ error: "Cannot assign a resolved complaint" });
+      }
+
+      const before = complaint.toObject();
+      complaint.assignedTo = assignee.address;
+      if (priority) complaint.priority = priority;
+      if (complaint.status === "open") complaint.status = "in-progress";
+      await complaint.save();
+      await recordAudit(req, {
+        action: "complaint.assign",
+        targetType: "Complaint",
+        targetId: complaint._id,
+        before,
+        after: complaint,
+      });
+      res.json({ success: true, complaint });
+    } catch (error) {
+      console.error("Assign complaint error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Resolve, with an optional closing message (admin only)
+app.post(
+  "/api/complaints/:id/close",
+  adminMiddleware("complaints:write"),
+  async (req, res) => {
+    const { message } = req.body;
+    if (message !== undefined && !isValidMessage(message)) {
+      return res.status(400).json({ error: "Invalid message" });
+    }
+
+    try {
+      const complaint = await loadComplaint(req, res);
+      if (!complaint) return;
+      if (complaint.status === "resolved") {
+        return res.status(400).json({ error: "Complaint is already resolved" });
+      }
+
+      const before = complaint.toObject();
+      if (message) {
+        complaint.messages.push({
+          author: req.adminAddress,
+          authorRole: "admin",
+          body: message.trim(),
+        });
+      }
+      complaint.status = "resolved";
+      complaint.resolvedAt = Date.now();
+      await complaint.save();
+      await recordAudit(req, {
+        action: "complaint.close",
+        targetType: "Complaint",
+        targetId: complaint._id,
+        before,
+        after: complaint,
+      });
+      res.json({ success: true, complaint });
+    } catch (error) {
+      console.error("Close complaint error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
-    return res.status(400).json({ error: "Invalid transaction ID" });
+// Audit trail of state changes (admin only). Filters: actor, action,
+// targetType, targetId, from, to (ISO dates)
+app.get("/api/audit-log", adminMiddleware("audit:read"), async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const filter = {};
+  if (req.query.actor) filter.actor = req.query.actor.toLowerCase();
+  if (req.query.action) filter.action = req.query.action;
+  if (req.query.targetType) filter.targetType = req.query.targetType;
+  if (req.query.targetId) filter.targetId = req.query.targetId;
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+      return res.status(400).json({ error: "Invalid from/to date" });
+    }
   }
 
   try {
-    const transaction = await Transaction.findById(transactionId);
-    if (!transaction) {
-      return res.status(404).json({ error: "Transaction not found" });
-    }
-    res.json({ status: transaction.status });
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ seq: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.json({ entries, total, page, limit });
   } catch (error) {
-    console.error("Check status error:", error.message);
+    console.error("Get audit log error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Suspension Routes
-app.get("/api/check-suspension/:address", async (req, res) => {
-  const { address } = req.params;
-  if (!ethers.isAddress(address)) {
-    return res.status(400).json({ error: "Invalid Ethereum address" });
+// Recomputes every hash to check that no entry was edited or removed
+app.get(
+  "/api/audit-log/verify",
+  adminMiddleware("audit:read"),
+  async (req, res) => {
+    try {
+      res.json(await verifyAuditChain());
+    } catch (error) {
+      console.error("Verify audit log error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
   }
+);
+
+// Integrator webhook endpoints (admin only). Each receives the events it
+// lists, signed with its secret (see services/webhooks.js).
+
+// Keeps the secret out of responses and the audit log
+const publicEndpoint = (endpoint) => {
+  const { secret, ...fields } = endpoint.toObject();
+  return fields;
+};
+
+app.get("/api/webhooks", adminMiddleware("webhooks:read"), async (req, res) => {
   try {
-    const suspension = await Suspension.findOne({
-      address: address.toLowerCase(),
-    });
-    res.json({
-      isSuspended: !!suspension,
-      reason: suspension ? suspension.reason : null,
-      suspendedAt: suspension ? suspension.suspendedAt : null,
-    });
+    const endpoints = await WebhookEndpoint.find().sort({ createdAt: 1 });
+    res.json({ endpoints, events: EVENTS });
   } catch (error) {
-    console.error("Check suspension error:", error.message);
+    console.error("Get webhooks error:", error.message);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/suspend", adminMiddleware, async (req, res) => {
-  const { address, reason } = req.body;
-  if (!ethers.isAddress(address)) {
-    return res.status(400).json({ error: "Invalid Ethereum address" });
+app.post(
+  "/api/webhooks",
+  adminMiddleware("webhooks:write"),
+  async (req, res) => {
+    const { url, events, description } = req.body;
+    const invalid = await validateEndpoint({ url, events, description });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    try {
+      const endpoint = new WebhookEndpoint({
+        url,
+        secret: createWebhookSecret(),
+        events: [...new Set(events)],
+        description,
+        createdBy: req.adminAddress,
+      });
+      await endpoint.save();
+      await recordAudit(req, {
+        action: "webhook.create",
+        targetType: "WebhookEndpoint",
+        targetId: endpoint._id,
+        after: publicEndpoint(endpoint),
+      });
+      console.log("Webhook endpoint added:", {
+        url,
+        events,
+        by: req.adminAddress,
+      });
+      // The only time the secret is shown
+      res.json({
+        success: true,
+        endpoint: publicEndpoint(endpoint),
+        secret: endpoint.secret,
+      });
+    } catch (error) {
+      console.error("Add webhook error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-  try {
-    const suspension = new Suspension({
-      address: address.toLowerCase(),
-      reason: reason || "No reason provided",
-      admin: req.adminAddress,
-    });
-    await suspension.save();
-    res.json({ success: true, message: `Account ${address} suspended` });
-  } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({ error: "Account already suspended" });
+);
+
+// Change url, events, description or active. rotateSecret: true issues a new
+// secret, returned in the response.
+app.post(
+  "/api/webhooks/:id",
+  adminMiddleware("webhooks:write"),
+  async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid webhook ID" });
+    }
+    const { url, events, description, active, rotateSecret } = req.body;
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({ error: "active must be a boolean" });
+    }
+
+    try {
+      const endpoint = await WebhookEndpoint.findById(req.params.id);
+      if (!endpoint) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      const invalid = await validateEndpoint({
+        url: url ?? endpoint.url,
+        events: events ?? endpoint.events,
+        description: description ?? endpoint.description,
+      });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const before = endpoint.toObject();
+      if (url !== undefined) endpoint.url = url;
+      if (events !== undefined) endpoint.events = [...new Set(events)];
+      if (description !== undefined) endpoint.description = description;
+      if (active !== undefined) endpoint.active = active;
+      const secret = rotateSecret === true ? createWebhookSecret() : undefined;
+      if (secret) endpoint.secret = secret;
+      await endpoint.save();
+
+      await recordAudit(req, {
+        action: secret ? "webhook.rotate-secret" : "webhook.update",
+        targetType: "WebhookEndpoint",
+        targetId: endpoint._id,
+        before,
+        after: publicEndpoint(endpoint),
+      });
+      res.json({ success: true, endpoint: publicEndpoint(endpoint), secret });
+    } catch (error) {
+      console.error("Update webhook error:", error.message);
+      res.status(500).json({ error: "Server error" });
     }
-    console.error("Suspend error:", error.message);
-    res.status(500).json({ error: "Server error" });
   }
-});
+);
 
-app.post("/api/unsuspend", adminMiddleware, async (req, res) => {
-  const { address } = req.body;
-  if (!ethers.isAddress(address)) {
-    return res.status(400).json({ error: "Invalid Ethereum address" });
+// Deliveries still queued for a removed endpoint fail on their next attempt;
+// the log is kept
+app.post(
+  "/api/webhooks/:id/remove",
+  adminMiddleware("webhooks:write"),
+  async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid webhook ID" });
+    }
+
+    try {
+      const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+      if (!endpoint) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      await recordAudit(req, {
+        action: "webhook.remove",
+        targetType: "WebhookEndpoint",
+        targetId: endpoint._id,
+        before: endpoint,
+      });
+      console.log("Webhook endpoint removed:", {
+        url: endpoint.url,
+        by: req.adminAddress,
+      });
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Remove webhook error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-  try {
-    const result = await Suspension.findOneAndDelete({
-      address: address.toLowerCase(),
-    });
-    if (!result) {
-      return res.status(404).json({ error: "Account not suspended" });
+);
+
+// Delivery log, newest first. Filters: endpointId, event, status
+app.get(
+  "/api/webhook-deliveries",
+  adminMiddleware("webhooks:read"),
+  async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = {};
+    if (req.query.endpointId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.endpointId)) {
+        return res.status(400).json({ error: "Invalid endpointId" });
+      }
+      filter.endpointId = req.query.endpointId;
+    }
+    if (req.query.event) filter.event = req.query.event;
+    if (req.query.status) filter.status = req.query.status;
+
+    try {
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+      res.json({ deliveries, total, page, limit });
+    } catch (error) {
+      console.error("Get webhook deliveries error:", error.message);
+      res.status(500).json({ error: "Server error" });
     }
-    res.json({ success: true, message: `Account ${address} unsuspended` });
-  } catch (error) {
-    console.error("Unsuspend error:", error.message);
-    res.status(500).json({ error: "Server error" });
   }
-});
+);
 
-app.get("/api/suspended-accounts", async (req, res) => {
-  try {
-    const suspensions = await Suspension.find();
-    res.json(suspensions);
-  } catch (error) {
-    console.error("Get suspended accounts error:", error.message);
-    res.status(500).json({ error: "Server error" });
+// Sends a delivered or failed payload again, as a new log entry
+app.post(
+  "/api/webhook-deliveries/:id/replay",
+  adminMiddleware("webhooks:write"),
+  async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid delivery ID" });
+    }
+
+    try {
+      const result = await replayDelivery(req.params.id, req.adminAddress);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      await recordAudit(req, {
+        action: "webhook.replay",
+        targetType: "WebhookDelivery",
+        targetId: result.delivery._id,
+        after: result.delivery,
+      });
+      res.json({ success: true, delivery: result.delivery });
+    } catch (error) {
+      console.error("Replay webhook delivery error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
+
+// Suspensions for admins, newest first. Filters: status (active, lifted or
+// all; default active), scope, address, appeal (pending)
+app.get(
+  "/api/suspended-accounts",
+  adminMiddleware("suspensions:read"),
+  async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    const { status = "active", scope, address, appeal } = req.query;
+    let filter;
+    if (status === "active") {
+      filter = suspensionInForce();
+    } else if (status === "lifted") {
+      filter = { active: false };
+    } else if (status === "all") {
+      filter = {};
+    } else {
+      return res
+        .status(400)
+        .json({ error: "status must be active, lifted or all" });
+    }
+    if (scope) filter.scope = scope;
+    if (address) filter.address = address.toLowerCase();
+    if (appeal === "pending") filter["appeals.status"] = "pending";
+
+    try {
+      const [suspensions, total] = await Promise.all([
+        Suspension.find(filter)
+          .sort({ suspendedAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Suspension.countDocuments(filter),
+      ]);
+      res.json({ suspensions, total, page, limit });
+    } catch (error) {
+      console.error("Get suspended accounts error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
 // Relay Endpoint
 app.post("/relay", async (req, res) => {
@@ -652,9 +2196,16 @@ app.post("/relay", async (req, res) => {
       });
     }
 
-    const suspension = await Suspension.findOne({
-      address: userAddress.toLowerCase(),
-    });
+    const relayFunction = getRelayFunction(functionName, "staking");
+    if (!relayFunction) {
+      console.error("Function not relayable:", functionName);
+      return res.status(400).json({
+        error: `Function ${functionName} cannot be relayed`,
+        field: "functionName",
+      });
+    }
+
+    const suspension = await findSuspension(userAddress, ["relay"]);
     if (suspension) {
       console.log(
         `Blocked meta-transaction for suspended user: ${userAddress}`
@@ -664,11 +2215,12 @@ app.post("/relay", async (req, res) => {
       });
     }
 
-    if (Number(chainId) !== 56) {
-      console.error("Invalid chainId:", chainId);
+    const chain = getChain(chainId);
+    if (!chain) {
+      console.error("Unsupported chainId:", chainId);
       return res
         .status(400)
-        .json({ error: "Invalid chainId, expected 56 (BSC)" });
+        .json({ error: `Unsupported chainId ${chainId}`, field: "chainId" });
     }
 
     if (!ethers.isAddress(contractAddress) || !ethers.isAddress(userAddress)) {
@@ -677,94 +2229,120 @@ app.post("/relay", async (req, res) => {
         .status(400)
         .json({ error: "Invalid contractAddress or userAddress" });
     }
+    if (
+      chain.stakingContractAddress &&
+      contractAddress.toLowerCase() !== chain.stakingContractAddress
+    ) {
+      console.error("Invalid contract address for staking:", contractAddress);
+      return res.status(400).json({
+        error: "Invalid contract address for staking",
+        field: "contractAddress",
+      });
+    }
     if (!signature.match(/^0x[a-fA-F0-9]{130}$/)) {
       console.error("Invalid signature format:", signature);
       return res.status(400).json({ error: "Invalid signature format" });
     }
 
-    const StakingContractABI = require("./StakingContractABI.json");
-    const tx = {
-      to: contractAddress,
-      data: new ethers.Interface(StakingContractABI).encodeFunctionData(
-        functionName,
-        args
-      ),
-      gasLimit: 300000,
-      gasPrice: ethers.parseUnits("3", "gwei").toString(),
-      chainId: Number(chainId),
-      speed: speed || "fast",
-      value: "0",
-    };
-
-    console.log("Sending meta-transaction via Defender:", tx);
-    const response = await relaySigner.sendTransaction(tx);
-    console.log("Defender Relayer response:", response);
+    if (speed && !SPEED_TIERS[speed]) {
+      return res.status(400).json({
+        error: `Invalid speed, expected one of ${Object.keys(SPEED_TIERS).join(", ")}`,
+        field: "speed",
+      });
+    }
 
-    try {
-      const receipt = await provider.waitForTransaction(
-        response.hash,
-        1,
-        120000
-      );
-      console.log("Transaction Receipt:", {
-        hash: response.hash,
-        status: receipt.status,
-        gasUsed: receipt.gasUsed.toString(),
+    const argsError = validateRelayArgs(relayFunction, args, userAddress);
+    if (argsError) {
+      console.error("Invalid relay arguments:", { functionName, ...argsError });
+      return res.status(400).json({
+        error: `Invalid ${argsError.field}: ${argsError.reason}`,
+        field: argsError.field,
+        reason: argsError.reason,
       });
+    }
 
-      if (receipt.status !== 1) {
-        console.error("Transaction failed:", response.hash);
-        return res.status(500).json({
-          error: "Transaction failed on-chain",
-          hash: response.hash,
-        });
-      }
+    // Reject bad or replayed signatures before the relayer pays gas for them
+    const stakingContract = new ethers.Contract(
+      contractAddress,
+      StakingContractABI,
+      chain.provider
+    );
+    const signatureError = await verifyMetaSignature({
+      chainId: chain.chainId,
+      contract: stakingContract,
+      functionName,
+      args,
+      userAddress,
+      signature,
+    });
+    if (signatureError) {
+      console.error("Meta-transaction signature rejected:", {
+        functionName,
+        userAddress,
+        error: signatureError.error,
+      });
+      return res
+        .status(signatureError.status)
+        .json({ error: signatureError.error });
+    }
 
-      return res.json({ hash: response.hash, success: true });
-    } catch (confirmationError) {
-      console.error("Transaction confirmation error:", {
-        hash: response.hash,
-        message: confirmationError.message,
-        stack: confirmationError.stack,
+    // Dry-run from the relayer so reverts cost nothing and come back decoded
+    const data = stakingContract.interface.encodeFunctionData(
+      functionName,
+      args
+    );
+    const revert = await simulateTransaction({
+      provider: chain.provider,
+      from: await chain.getRelayerAddress(),
+      tx: { to: contractAddress, data },
+    });
+    if (revert) {
+      console.error("Meta-transaction simulation reverted:", {
+        functionName,
+        userAddress,
+        ...revert,
       });
-      return res.status(500).json({
-        error: "Failed to confirm transaction",
-        hash: response.hash,
-        details: confirmationError.message,
+      return res.status(422).json({
+        error: revert.name,
+        args: revert.args,
+        message: `Transaction would revert with ${revert.name}`,
       });
     }
+
+    const job = await RelayJob.create({
+      kind: "staking",
+      userAddress,
+      contractAddress,
+      functionName,
+      args,
+      chainId: Number(chainId),
+      tx: {
+        to: contractAddress,
+        data,
+        speed: speed || "fast",
+        value: "0",
+      },
+    });
+    // The verified meta-transaction signature identifies the user
+    await recordAudit(
+      { userAddress: job.userAddress, ip: req.ip },
+      {
+        action: "relay.queue",
+        targetType: "RelayJob",
+        targetId: job._id,
+        after: job,
+      }
+    );
+    console.log("Relay job queued:", job._id.toString());
+    await publishEvent("relay.queued", { job });
+    processRelayJobs();
+
+    return res.status(202).json({ jobId: job._id, status: job.status });
   } catch (error) {
     console.error("Relay Error:", {
       message: error.message,
-      response: error.response
-        ? {
-            status: error.response.status,
-            data: error.response.data,
-            headers: error.response.headers,
-          }
-        : null,
       stack: error.stack,
     });
-
-    if (
-      error.message.includes("authentication") ||
-      error.message.includes("API key and secret are required")
-    ) {
-      return res.status(401).json({
-        error: "Authentication failed: Invalid or missing API credentials",
-      });
-    }
-    if (error.message.includes("Insufficient funds")) {
-      return res.status(403).json({
-        error: "Relayer has insufficient funds. Please fund the relayer.",
-      });
-    }
-    if (error.message.includes("status code 400")) {
-      return res.status(400).json({
-        error: "Invalid transaction parameters",
-        details: error.response?.data || error.message,
-      });
-    }
     return res.status(500).json({ error: `Relay error: ${error.message}` });
   }
 });
@@ -780,6 +2358,7 @@ app.post("/relay-withdrawal", async (req, res) => {
       signature,
       chainId,
       speed,
+      quoteId,
     } = req.body;
 
     if (
@@ -788,7 +2367,8 @@ app.post("/relay-withdrawal", async (req, res) => {
       !functionName ||
       !args ||
       !userAddress ||
-      !signature
+      !signature ||
+      !quoteId
     ) {
       console.error(
         "Missing required fields for withdrawal meta-transaction:",
@@ -799,19 +2379,30 @@ app.post("/relay-withdrawal", async (req, res) => {
           userAddress,
           signature,
           chainId,
+          quoteId,
         }
       );
       return res.status(400).json({
         error:
-          "Missing required fields: contractAddress, functionName, args, userAddress, signature, chainId",
+          "Missing required fields: contractAddress, functionName, args, userAddress, signature, chainId, quoteId",
       });
     }
+    if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid quoteId", field: "quoteId" });
+    }
 
-    // Verify the contract address matches the Withdrawal contract
-    if (
-      contractAddress.toLowerCase() !==
-      process.env.WITHDRAWAL_CONTRACT_ADDRESS.toLowerCase()
-    ) {
+    const chain = getChain(chainId);
+    if (!chain) {
+      console.error("Unsupported chainId:", chainId);
+      return res
+        .status(400)
+        .json({ error: `Unsupported chainId ${chainId}`, field: "chainId" });
+    }
+
+    // Verify the contract address matches the chain's Withdrawal contract
+    if (contractAddress.toLowerCase() !== chain.withdrawalContractAddress) {
       console.error(
         "Invalid contract address for withdrawal:",
         contractAddress
@@ -822,16 +2413,19 @@ app.post("/relay-withdrawal", async (req, res) => {
     }
 
     // Verify the function name
-    if (functionName !== "executeMetaWithdrawal") {
+    const relayFunction = getRelayFunction(functionName, "withdrawal");
+    if (!relayFunction) {
       console.error("Invalid function name for withdrawal:", functionName);
       return res.status(400).json({
         error: "Invalid function name, expected executeMetaWithdrawal",
+        field: "functionName",
       });
     }
 
-    const suspension = await Suspension.findOne({
-      address: userAddress.toLowerCase(),
-    });
+    const suspension = await findSuspension(userAddress, [
+      "relay",
+      "withdrawals",
+    ]);
     if (suspension) {
       console.log(
         `Blocked withdrawal meta-transaction for suspended user: ${userAddress}`
@@ -841,13 +2435,6 @@ app.post("/relay-withdrawal", async (req, res) => {
       });
     }
 
-    if (Number(chainId) !== 56) {
-      console.error("Invalid chainId:", chainId);
-      return res
-        .status(400)
-        .json({ error: "Invalid chainId, expected 56 (BSC)" });
-    }
-
     if (!ethers.isAddress(contractAddress) || !ethers.isAddress(userAddress)) {
       console.error("Invalid address:", { contractAddress, userAddress });
       return res
@@ -859,93 +2446,205 @@ app.post("/relay-withdrawal", async (req, res) => {
       return res.status(400).json({ error: "Invalid signature format" });
     }
 
-    const tx = {
-      to: contractAddress,
-      data: new ethers.Interface(WithdrawalABI).encodeFunctionData(
-        functionName,
-        args
-      ),
-      gasLimit: 300000,
-      gasPrice: ethers.parseUnits("3", "gwei").toString(),
-      chainId: Number(chainId),
-      speed: speed || "fast",
-      value: "0",
-    };
-
-    console.log("Sending withdrawal meta-transaction via Defender:", tx);
-    const response = await relaySigner.sendTransaction(tx);
-    console.log("Defender Relayer response:", response);
-
-    try {
-      const receipt = await provider.waitForTransaction(
-        response.hash,
-        1,
-        120000
-      );
-      console.log("Withdrawal Transaction Receipt:", {
-        hash: response.hash,
-        status: receipt.status,
-        gasUsed: receipt.gasUsed.toString(),
+    // Same rule as create-withdrawal, checked before the USDT moves
+    const pendingWithdrawal = await Withdrawal.findOne({
+      userId: userAddress.toLowerCase(),
+      status: "pending",
+    });
+    if (pendingWithdrawal) {
+      return res.status(400).json({
+        error: "You have a pending withdrawal. Please complete or cancel it.",
+        transactionId: pendingWithdrawal._id,
       });
+    }
 
-      if (receipt.status !== 1) {
-        console.error("Withdrawal transaction failed:", response.hash);
-        return res.status(500).json({
-          error: "Withdrawal transaction failed on-chain",
-          hash: response.hash,
-        });
-      }
+    if (speed && !SPEED_TIERS[speed]) {
+      return res.status(400).json({
+        error: `Invalid speed, expected one of ${Object.keys(SPEED_TIERS).join(", ")}`,
+        field: "speed",
+      });
+    }
 
-      return res.json({ hash: response.hash, success: true });
-    } catch (confirmationError) {
-      console.error("Withdrawal transaction confirmation error:", {
-        hash: response.hash,
-        message: confirmationError.message,
-        stack: confirmationError.stack,
+    const argsError = validateRelayArgs(relayFunction, args, userAddress);
+    if (argsError) {
+      console.error("Invalid relay arguments:", { functionName, ...argsError });
+      return res.status(400).json({
+        error: `Invalid ${argsError.field}: ${argsError.reason}`,
+        field: argsError.field,
+        reason: argsError.reason,
       });
-      return res.status(500).json({
-        error: "Failed to confirm withdrawal transaction",
-        hash: response.hash,
-        details: confirmationError.message,
+    }
+
+    // Reject bad or replayed signatures before the relayer pays gas for them
+    const withdrawalContract = new ethers.Contract(
+      contractAddress,
+      WithdrawalABI,
+      chain.provider
+    );
+    const signatureError = await verifyMetaSignature({
+      chainId: chain.chainId,
+      contract: withdrawalContract,
+      functionName,
+      args,
+      userAddress,
+      signature,
+    });
+    if (signatureError) {
+      console.error("Withdrawal meta-transaction signature rejected:", {
+        userAddress,
+        error: signatureError.error,
       });
+      return res
+        .status(signatureError.status)
+        .json({ error: signatureError.error });
     }
-  } catch (error) {
-    console.error("Withdrawal Relay Error:", {
-      message: error.message,
-      response: error.response
-        ? {
-            status: error.response.status,
-            data: error.response.data,
-            headers: error.response.headers,
-          }
-        : null,
-      stack: error.stack,
+
+    // The payout price must be settled before the USDT leaves the wallet
+    const decimals = await getTokenDecimals(chain);
+    const lockable = await findLockableQuote({
+      userId: userAddress.toLowerCase(),
+      usdtAmount: ethers.formatUnits(BigInt(args[1]), decimals),
+      quoteId,
+    });
+    if (lockable.error) {
+      return res
+        .status(lockable.status)
+        .json({ error: lockable.error, field: "quoteId" });
+    }
+    const overLimit = await checkLimits({
+      userId: userAddress.toLowerCase(),
+      side: "sell",
+      usdtAmount: lockable.quote.usdtAmount,
+      nairaAmount: lockable.quote.nairaAmount,
     });
+    if (overLimit) {
+      const { status, ...body } = overLimit;
+      return res.status(status).json(body);
+    }
 
-    if (
-      error.message.includes("authentication") ||
-      error.message.includes("API key and secret are required")
-    ) {
-      return res.status(401).json({
-        error: "Authentication failed: Invalid or missing API credentials",
+    // Dry-run from the relayer so reverts cost nothing and come back decoded
+    const data = withdrawalContract.interface.encodeFunctionData(
+      functionName,
+      args
+    );
+    const revert = await simulateTransaction({
+      provider: chain.provider,
+      from: await chain.getRelayerAddress(),
+      tx: { to: contractAddress, data },
+    });
+    if (revert) {
+      console.error("Withdrawal meta-transaction simulation reverted:", {
+        functionName,
+        userAddress,
+        ...revert,
       });
-    }
-    if (error.message.includes("Insufficient funds")) {
-      return res.status(403).json({
-        error: "Relayer has insufficient funds. Please fund the relayer.",
+      return res.status(422).json({
+        error: revert.name,
+        args: revert.args,
+        message: `Transaction would revert with ${revert.name}`,
       });
     }
-    if (error.message.includes("status code 400")) {
-      return res.status(400).json({
-        error: "Invalid withdrawal transaction parameters",
-        details: error.response?.data || error.message,
+
+    // Locked only once the transfer is known to go through; the relay worker
+    // unlocks it again if the job fails or is dropped
+    const locked = await lockQuote(lockable.quote);
+    if (locked.error) {
+      return res
+        .status(locked.status)
+        .json({ error: locked.error, field: "quoteId" });
+    }
+    let job;
+    try {
+      job = await RelayJob.create({
+        kind: "withdrawal",
+        userAddress,
+        contractAddress,
+        functionName,
+        args,
+        chainId: Number(chainId),
+        quoteId: locked.quote._id,
+        tx: {
+          to: contractAddress,
+          data,
+          speed: speed || "fast",
+          value: "0",
+        },
       });
+    } catch (error) {
+      await unlockQuote(locked.quote._id);
+      throw error;
     }
+    await recordAudit(
+      { userAddress: job.userAddress, ip: req.ip },
+      {
+        action: "relay.queue",
+        targetType: "RelayJob",
+        targetId: job._id,
+        after: job,
+      }
+    );
+    console.log("Withdrawal relay job queued:", job._id.toString());
+    await publishEvent("relay.queued", { job });
+    processRelayJobs();
+
+    return res.status(202).json({ jobId: job._id, status: job.status });
+  } catch (error) {
+    console.error("Withdrawal Relay Error:", {
+      message: error.message,
+      stack: error.stack,
+    });
     return res
       .status(500)
       .json({ error: `Withdrawal relay error: ${error.message}` });
   }
 });
 
+// Relay job status
+app.get(
+  "/relay/jobs/:id",
+  userOrAdminMiddleware("reports:read"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid job ID" });
+    }
+
+    try {
+      const job = await RelayJob.findById(id);
+      if (!job) {
+        return res.status(404).json({ error: "Relay job not found" });
+      }
+      if (!ownsRecord(req, job.userAddress)) {
+        return res.status(403).json({ error: "Not your relay job" });
+      }
+
+      const chain = getChain(job.chainId);
+      let confirmations = 0;
+      if (job.blockNumber && chain) {
+        const latestBlock = await chain.provider.getBlockNumber();
+        confirmations = latestBlock - job.blockNumber + 1;
+      }
+
+      res.json({
+        jobId: job._id,
+        status: job.status,
+        functionName: job.functionName,
+        userAddress: job.userAddress,
+        hash: job.hash || null,
+        confirmations,
+        gasUsed: job.gasUsed || null,
+        revertReason: job.revertReason || null,
+        error: job.error || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+      });
+    } catch (error) {
+      console.error("Get relay job error:", error.message);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -1,57 +1,122 @@
+const Admin = require("../models/Admin");
+const { hasPermission } = require("../config/permissions");
+const { findSession, getBearerToken } = require("../services/siwe");
 
-const { ethers } = require("ethers");
+// All middlewares take `Authorization: Bearer <token>` from /api/auth/verify.
+// Returns the session, or sends 401 and returns null.
+const requireSession = async (req, res) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    console.log("auth: Missing bearer token");
+    res.status(401).json({ error: "Missing session token" });
+    return null;
+  }
+  const session = await findSession(token);
+  if (!session) {
+    console.log("auth: Invalid or expired session");
+    res.status(401).json({ error: "Invalid or expired session" });
+    return null;
+  }
+  return session;
+};
 
-const adminMiddleware = async (req, res, next) => {
-  const adminAddress = req.headers.adminaddress; // Use lowercase to match frontend
-  const { signature } = req.headers;
+// Sets req.adminAddress when the session's admin holds `permission`.
+// Returns false after sending 403 otherwise.
+const authorizeAdmin = async (req, res, session, permission) => {
+  // Looked up per request so role changes and removals apply immediately
+  const admin = await Admin.findOne({ address: session.address, active: true });
+  if (session.role !== "admin" || !admin) {
+    console.log("adminMiddleware: Not authorized as admin", {
+      address: session.address,
+    });
+    res.status(403).json({ error: "Not authorized as admin" });
+    return false;
+  }
+  if (permission && !hasPermission(admin.role, permission)) {
+    console.log("adminMiddleware: Missing permission", {
+      address: admin.address,
+      role: admin.role,
+      permission,
+    });
+    res.status(403).json({ error: `Missing permission: ${permission}` });
+    return false;
+  }
 
-  console.log("adminMiddleware: Received headers", {
-    adminAddress,
-    signature,
-  });
+  req.adminAddress = admin.address;
+  req.admin = admin;
+  req.session = session;
+  return true;
+};
 
-  if (!adminAddress || !ethers.isAddress(adminAddress)) {
-    console.log("adminMiddleware: Invalid admin address", { adminAddress });
-    return res.status(400).json({ error: "Invalid admin address" });
+// Admin routes name the permission they need, e.g.
+// adminMiddleware("withdrawals:verify")
+const adminMiddleware = (permission) => async (req, res, next) => {
+  try {
+    const session = await requireSession(req, res);
+    if (session && (await authorizeAdmin(req, res, session, permission))) {
+      next();
+    }
+  } catch (error) {
+    console.error("adminMiddleware: Auth error:", {
+      message: error.message,
+      stack: error.stack,
+    });
+    res.status(403).json({ error: "Authentication failed" });
   }
+};
 
-  if (!signature || !signature.match(/^0x[a-fA-F0-9]{130}$/)) {
-    console.log("adminMiddleware: Invalid or missing signature", { signature });
-    return res.status(400).json({ error: "Invalid or missing signature" });
+// User routes act for the signed-in wallet only: req.userAddress is the
+// address that signed the SIWE message, never a client-supplied header
+const userMiddleware = async (req, res, next) => {
+  try {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    if (session.role !== "user") {
+      return res.status(403).json({ error: "User session required" });
+    }
+    req.userAddress = session.address;
+    req.session = session;
+    next();
+  } catch (error) {
+    console.error("userMiddleware: Auth error:", {
+      message: error.message,
+      stack: error.stack,
+    });
+    res.status(403).json({ error: "Authentication failed" });
   }
+};
 
+// For routes that serve both: a user session sets req.userAddress, an admin
+// session holding `permission` sets req.adminAddress
+const userOrAdminMiddleware = (permission) => async (req, res, next) => {
   try {
-    // Verify signature
-    const message = "Admin access";
-    const signer = ethers.verifyMessage(message, signature).toLowerCase();
-    console.log("adminMiddleware: Signature verification", {
-      signer,
-      adminAddress: adminAddress.toLowerCase(),
-    });
-    if (signer !== adminAddress.toLowerCase()) {
-      return res.status(403).json({ error: "Invalid signature" });
+    const session = await requireSession(req, res);
+    if (!session) return;
+    if (session.role === "user") {
+      req.userAddress = session.address;
+      req.session = session;
+      return next();
     }
-
-    // Check if adminAddress is the contract admin
-    const admin = process.env.ADMIN_ADDRESS.toLowerCase(); // From .env
-    console.log("adminMiddleware: Admin check", {
-      received: adminAddress.toLowerCase(),
-      expected: admin,
-    });
-    if (adminAddress.toLowerCase() !== admin) {
-      return res.status(403).json({ error: "Not authorized as admin" });
+    if (await authorizeAdmin(req, res, session, permission)) {
+      next();
     }
-
-    req.adminAddress = adminAddress.toLowerCase();
-    next();
   } catch (error) {
-    console.error("adminMiddleware: Auth error:", {
+    console.error("userOrAdminMiddleware: Auth error:", {
       message: error.message,
       stack: error.stack,
-      adminAddress,
     });
     res.status(403).json({ error: "Authentication failed" });
   }
 };
 
-module.exports = { adminMiddleware };
+// True when the caller may see or act on a record owned by `owner`
+const ownsRecord = (req, owner) =>
+  Boolean(req.adminAddress) ||
+  (Boolean(req.userAddress) && req.userAddress === owner?.toLowerCase());
+
+module.exports = {
+  adminMiddleware,
+  userMiddleware,
+  userOrAdminMiddleware,
+  ownsRecord,
+};
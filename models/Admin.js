@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
+
+const AdminChangeSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["added", "role-changed", "removed", "restored"],
+      required: true,
+    },
+    role: { type: String, enum: ROLES },
+    by: { type: String, required: true, lowercase: true }, // Acting admin address
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const AdminSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+  },
+  active: { type: Boolean, default: true }, // Removed admins are kept for history
+  changes: [AdminChangeSchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+AdminSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("Admin", AdminSchema);
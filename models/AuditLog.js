@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// One state change, written by services/audit.js and never updated. `hash`
+// covers the entry's fields plus the previous entry's hash, so editing or
+// deleting an entry breaks every hash after it.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true, unique: true },
+    actor: { type: String, required: true, lowercase: true }, // Wallet address or "system"
+    actorRole: {
+      type: String,
+      enum: ["admin", "user", "system"],
+      required: true,
+    },
+    action: { type: String, required: true }, // e.g. "withdrawal.verify"
+    targetType: { type: String, required: true },
+    targetId: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: null },
+    createdAt: { type: Date, required: true },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true },
+  },
+  // Keep empty objects in snapshots, or the stored entry no longer hashes
+  { minimize: false }
+);
+
+AuditLogSchema.index({ actor: 1, seq: -1 });
+AuditLogSchema.index({ action: 1, seq: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, seq: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
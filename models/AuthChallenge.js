@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// A SIWE (EIP-4361) message issued by /api/auth/challenge. It can be
+// exchanged for a session once, before expiresAt.
+const AuthChallengeSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  address: { type: String, required: true, lowercase: true },
+  role: { type: String, enum: ["admin", "user"], default: "admin" },
+  message: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Let Mongo drop challenges once they expire
+AuthChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthChallenge", AuthChallengeSchema);
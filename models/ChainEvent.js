@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A decoded log from the staking or withdrawal contract, written by the
+// event indexer. bigint args are stored as decimal strings.
+const ChainEventSchema = new mongoose.Schema({
+  chainId: { type: Number, required: true },
+  contract: {
+    type: String,
+    enum: ["staking", "withdrawal"],
+    required: true,
+  },
+  address: { type: String, required: true, lowercase: true },
+  name: { type: String, required: true },
+  args: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Every address argument, so history can be queried per wallet
+  addresses: [{ type: String, lowercase: true }],
+  blockNumber: { type: Number, required: true },
+  blockHash: { type: String, required: true },
+  transactionHash: { type: String, required: true, lowercase: true },
+  logIndex: { type: Number, required: true },
+  timestamp: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ChainEventSchema.index(
+  { chainId: 1, transactionHash: 1, logIndex: 1 },
+  { unique: true }
+);
+ChainEventSchema.index({ chainId: 1, address: 1, blockNumber: 1 });
+ChainEventSchema.index({ addresses: 1, blockNumber: -1 });
+ChainEventSchema.index({ name: 1, blockNumber: -1 });
+
+module.exports = mongoose.model("ChainEvent", ChainEventSchema);
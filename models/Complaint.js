@@ -1 +1,52 @@
- 
\ No newline at end of file
+const mongoose = require("mongoose");
+
+const CATEGORIES = [
+  "payment-not-received",
+  "wrong-amount",
+  "transaction-stuck",
+  "account",
+  "other",
+];
+const PRIORITIES = ["low", "normal", "high", "urgent"];
+
+const ComplaintMessageSchema = new mongoose.Schema(
+  {
+    author: { type: String, required: true, lowercase: true }, // Wallet address
+    authorRole: { type: String, enum: ["user", "admin"], required: true },
+    body: { type: String, required: true, maxlength: 5000 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A support ticket opened by a wallet, optionally about one of its
+// Transactions or Withdrawals
+const ComplaintSchema = new mongoose.Schema({
+  userId: { type: String, required: true, lowercase: true },
+  relatedType: { type: String, enum: ["Transaction", "Withdrawal"] },
+  relatedId: { type: mongoose.Schema.Types.ObjectId },
+  category: { type: String, enum: CATEGORIES, required: true },
+  priority: { type: String, enum: PRIORITIES, default: "normal" },
+  status: {
+    type: String,
+    enum: ["open", "in-progress", "resolved"],
+    default: "open",
+  },
+  subject: { type: String, required: true, maxlength: 200 },
+  messages: [ComplaintMessageSchema],
+  assignedTo: { type: String, lowercase: true, default: null }, // Admin address
+  escalatedAt: { type: Date },
+  resolvedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+ComplaintSchema.index({ userId: 1, createdAt: -1 });
+ComplaintSchema.index({ status: 1, priority: 1, createdAt: -1 });
+
+ComplaintSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("Complaint", ComplaintSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// USDT/NGN rates, one document per change; the newest is current. `buy` is
+// what a user pays per USDT, `sell` what they receive per USDT.
+const ExchangeRateSchema = new mongoose.Schema({
+  buy: { type: Number, required: true, min: 0 },
+  sell: { type: Number, required: true, min: 0 },
+  source: { type: String, required: true }, // "manual" or a provider name
+  setBy: { type: String, lowercase: true }, // Admin address for manual rates
+  createdAt: { type: Date, default: Date.now },
+});
+
+ExchangeRateSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ExchangeRate", ExchangeRateSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Last block the event indexer has processed for one contract on one chain
+const IndexerCursorSchema = new mongoose.Schema({
+  chainId: { type: Number, required: true },
+  address: { type: String, required: true, lowercase: true },
+  startBlock: { type: Number }, // First block indexed; nothing before it is read
+  lastBlock: { type: Number, required: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+IndexerCursorSchema.index({ chainId: 1, address: 1 }, { unique: true });
+
+IndexerCursorSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("IndexerCursor", IndexerCursorSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Outbox entry: one message for one channel and recipient, written next to
+// the change it announces. The notification dispatcher moves it through
+// pending -> sending -> sent, or back to pending with a later nextAttemptAt
+// until it runs out of attempts and is marked failed.
+const NotificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ["telegram", "email", "webhook"],
+    required: true,
+  },
+  recipient: { type: String, required: true }, // Chat id, email address or URL
+  template: { type: String, required: true }, // Key in config/notificationTemplates.js
+  subject: { type: String },
+  text: { type: String, required: true },
+  replyMarkup: { type: mongoose.Schema.Types.Mixed }, // Telegram inline keyboard
+  data: { type: mongoose.Schema.Types.Mixed }, // Webhook payload
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed"],
+    default: "pending",
+    required: true,
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null }, // Set when the dispatcher claims it
+  lastError: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+NotificationSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("Notification", NotificationSchema);
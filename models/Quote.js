@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// A price locked for one user until expiresAt. Used by at most one
+// Transaction (side "buy") or Withdrawal (side "sell").
+const QuoteSchema = new mongoose.Schema({
+  userId: { type: String, required: true, lowercase: true },
+  side: { type: String, enum: ["buy", "sell"], required: true },
+  usdtAmount: { type: Number, required: true },
+  rate: { type: Number, required: true },
+  feePercent: { type: Number, required: true },
+  fee: { type: Number, required: true }, // Naira
+  nairaAmount: { type: Number, required: true },
+  rateId: { type: mongoose.Schema.Types.ObjectId, ref: "ExchangeRate" },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  // Set when /relay-withdrawal sends USDT on this price, which extends
+  // expiresAt (see lockQuote in services/rates.js)
+  lockedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+QuoteSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Quote", QuoteSchema);
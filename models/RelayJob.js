@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// One document per /relay or /relay-withdrawal request. The relay worker
+// moves it through queued -> submitted -> mined | failed | dropped.
+const RelayJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["staking", "withdrawal"],
+    required: true,
+  },
+  userAddress: { type: String, required: true, lowercase: true },
+  contractAddress: { type: String, required: true, lowercase: true },
+  functionName: { type: String, required: true },
+  args: { type: mongoose.Schema.Types.Mixed, required: true },
+  chainId: { type: Number, required: true },
+  // Withdrawals: the sell quote locked for this transfer, unlocked if it fails
+  quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote" },
+  tx: {
+    to: { type: String, required: true },
+    data: { type: String, required: true },
+    gasLimit: { type: String },
+    gasPrice: { type: String },
+    speed: { type: String },
+    value: { type: String, default: "0" },
+  },
+  status: {
+    type: String,
+    enum: ["queued", "submitted", "mined", "failed", "dropped"],
+    default: "queued",
+    required: true,
+  },
+  lockedAt: { type: Date, default: null }, // Set when the worker claims a queued job
+  relayerTxId: { type: String }, // Defender transactionId, survives re-pricing
+  hash: { type: String },
+  blockNumber: { type: Number },
+  gasUsed: { type: String },
+  revertReason: { type: String },
+  error: { type: String },
+  submittedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+RelayJobSchema.index({ status: 1, createdAt: 1 });
+
+RelayJobSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("RelayJob", RelayJobSchema);
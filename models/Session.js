@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// A short-lived session issued after a signed SIWE challenge. Only the
+// SHA-256 of the bearer token is stored.
+const SessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  address: { type: String, required: true, lowercase: true },
+  role: {
+    type: String,
+    enum: ["admin", "user"],
+    required: true,
+  },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ address: 1 });
+
+module.exports = mongoose.model("Session", SessionSchema);
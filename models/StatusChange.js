@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+const { STATUSES } = require("../config/statusMachine");
+
+// One entry of a Transaction's or Withdrawal's statusHistory. `from` is unset
+// on the entry written at creation.
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    by: { type: String, required: true, lowercase: true }, // Wallet address or "system"
+    reason: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+module.exports = StatusChangeSchema;
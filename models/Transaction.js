@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { STATUSES } = require("../config/statusMachine");
+const StatusChangeSchema = require("./StatusChange");
 
 const TransactionSchema = new mongoose.Schema({
   userId: { type: String, required: true, lowercase: true }, // Wallet address
@@ -6,11 +8,19 @@ const TransactionSchema = new mongoose.Schema({
   address: { type: String, required: true },
   usdtAmount: { type: Number, required: true },
   nairaAmount: { type: Number, required: true },
+  // Pricing from services/rates.js at creation
+  rate: { type: Number },
+  feePercent: { type: Number },
+  fee: { type: Number }, // Naira
+  rateId: { type: mongoose.Schema.Types.ObjectId, ref: "ExchangeRate" },
+  quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote" },
   status: {
     type: String,
     default: "pending",
-    enum: ["pending", "awaiting verification", "verified", "failed"],
+    enum: STATUSES,
   },
+  statusHistory: [StatusChangeSchema],
+  expiryReminderSentAt: { type: Date }, // Set by services/expiry.js
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Per-wallet profile. Wallets without one are treated as KYC tier 0.
+const UserSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+  },
+  kycTier: { type: Number, default: 0 }, // Key into config/limits.json tiers
+  kycUpdatedBy: { type: String, lowercase: true }, // Admin address
+  kycUpdatedAt: { type: Date },
+  // Private chat for the user's own notifications, linked via /start <code>
+  telegramChatId: { type: String },
+  telegramLinkCode: { type: String },
+  telegramLinkExpiresAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+UserSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("User", UserSchema);
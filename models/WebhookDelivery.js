@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Delivery log: one event sent to one endpoint. The webhook dispatcher moves
+// it through pending -> sending -> delivered, or back to pending with a later
+// nextAttemptAt until it runs out of attempts and is marked failed. A replay
+// is a new delivery of the same payload.
+const WebhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookEndpoint",
+    required: true,
+  },
+  url: { type: String, required: true }, // Endpoint URL when queued
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "sending", "delivered", "failed"],
+    default: "pending",
+    required: true,
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null }, // Set when the dispatcher claims it
+  responseStatus: { type: Number }, // HTTP status of the last attempt
+  lastError: { type: String },
+  deliveredAt: { type: Date },
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery" },
+  replayedBy: { type: String, lowercase: true }, // Admin address
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+WebhookDeliverySchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// An integrator's URL that receives the events it subscribed to, signed with
+// its secret (see services/webhooks.js)
+const WebhookEndpointSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  // Only returned when the endpoint is created
+  secret: { type: String, required: true, select: false },
+  events: { type: [String], required: true }, // Names from services/events.js
+  description: { type: String, maxlength: 200 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, required: true, lowercase: true }, // Admin address
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+WebhookEndpointSchema.index({ active: 1, events: 1 });
+
+WebhookEndpointSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("WebhookEndpoint", WebhookEndpointSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { STATUSES } = require("../config/statusMachine");
+const StatusChangeSchema = require("./StatusChange");
 
 const WithdrawalSchema = new mongoose.Schema({
   userId: {
@@ -17,6 +19,13 @@ const WithdrawalSchema = new mongoose.Schema({
     required: true,
     min: [0, "USDT amount must be positive"],
   },
+  nairaAmount: { type: Number }, // Payout after fee; unset on older records
+  // Pricing from services/rates.js at creation
+  rate: { type: Number },
+  feePercent: { type: Number },
+  fee: { type: Number }, // Naira
+  rateId: { type: mongoose.Schema.Types.ObjectId, ref: "ExchangeRate" },
+  quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote" },
   bankDetails: {
     bankName: { type: String, required: true },
     accountNumber: { type: String, required: true },
@@ -25,6 +34,8 @@ const WithdrawalSchema = new mongoose.Schema({
   txHash: {
     type: String,
     required: true,
+    unique: true, // One Withdrawal per on-chain transfer
+    lowercase: true,
     validate: {
       validator: function (v) {
         return /^0x[a-fA-F0-9]{64}$/.test(v); // Validate transaction hash
@@ -32,12 +43,30 @@ const WithdrawalSchema = new mongoose.Schema({
       message: "Invalid transaction hash",
     },
   },
+  chainId: {
+    type: Number,
+    default: 56,
+  },
+  blockNumber: {
+    type: Number,
+  },
+  // "reconciliation" when created from an on-chain event with no request
+  source: {
+    type: String,
+    enum: ["user", "reconciliation"],
+    default: "user",
+  },
   status: {
     type: String,
-    enum: ["pending", "awaiting verification", "verified", "failed"],
+    enum: STATUSES,
     default: "pending",
     required: true,
   },
+  statusHistory: [StatusChangeSchema],
+  // Set when the withdrawal broke a limit after its USDT had already moved;
+  // an admin reviews it before paying out
+  flaggedReason: { type: String },
+  expiryReminderSentAt: { type: Date }, // Set by services/expiry.js
   createdAt: {
     type: Date,
     default: Date.now,
@@ -1,25 +1,58 @@
 // server/models/Suspension.js
 const mongoose = require("mongoose");
 
+const SCOPES = ["full", "relay", "withdrawals", "buys"];
+
+// A user's request to have the suspension lifted, reviewed by an admin
+const AppealSchema = new mongoose.Schema({
+  message: { type: String, required: true, maxlength: 5000 },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "rejected"],
+    default: "pending",
+  },
+  filedAt: { type: Date, default: Date.now },
+  reviewedBy: { type: String, lowercase: true }, // Admin address
+  reviewedAt: { type: Date },
+  response: { type: String, maxlength: 5000 },
+});
+
+// One document per suspension. Lifting or expiring it clears `active` and
+// keeps the document as history.
 const SuspensionSchema = new mongoose.Schema({
   address: {
     type: String,
     required: true,
-    unique: true,
     lowercase: true, // Store addresses in lowercase for consistency
   },
   reason: {
     type: String,
     default: "No reason provided", // Optional reason
   },
+  // What is blocked: full, or only relayed meta-transactions, withdrawals or
+  // buy orders (see services/suspensions.js)
+  scope: { type: String, enum: SCOPES, default: "full" },
   suspendedAt: {
     type: Date,
     default: Date.now,
   },
+  expiresAt: { type: Date, default: null }, // null is permanent
   admin: {
     type: String, // Admin address who performed the suspension
     required: true,
   },
+  active: { type: Boolean, default: true },
+  liftedAt: { type: Date },
+  liftedBy: { type: String }, // Admin address, or "system" on expiry
+  liftReason: { type: String },
+  appeals: [AppealSchema],
 });
 
+// At most one active suspension per address and scope
+SuspensionSchema.index(
+  { address: 1, scope: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+SuspensionSchema.index({ active: 1, suspendedAt: -1 });
+
 module.exports = mongoose.model("Suspension", SuspensionSchema);
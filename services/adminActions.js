@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const Transaction = require("../models/Transaction");
+const Withdrawal = require("../models/Withdrawal");
+const Suspension = require("../models/suspension");
+const { ADMIN_STATUSES } = require("../config/statusMachine");
+const { changeStatus } = require("./statusMachine");
+const { recordAudit } = require("./audit");
+const { notifyAdmins, notifyTransaction } = require("./notifications");
+const { publishEvent } = require("./events");
+const { expireSuspensions } = require("./suspensions");
+
+// Admin actions shared by the HTTP routes and the Telegram bot. `actor` is the
+// Express request, or { adminAddress } for the bot. Each returns
+// { status, error } on failure.
+
+const verifyTransaction = async (actor, { transactionId, status, reason }) => {
+  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+    return { status: 400, error: "Invalid transaction ID" };
+  }
+  if (!ADMIN_STATUSES.includes(status)) {
+    return { status: 400, error: "Invalid status" };
+  }
+
+  const transaction = await Transaction.findById(transactionId);
+  if (!transaction) {
+    return { status: 404, error: "Transaction not found" };
+  }
+
+  const rejected = await changeStatus(actor, transaction, status, {
+    action: "transaction.verify",
+    by: actor.adminAddress,
+    reason,
+  });
+  if (rejected) return rejected;
+  await notifyTransaction(transaction, status);
+  return { transaction };
+};
+
+const verifyWithdrawal = async (actor, { transactionId, status, reason }) => {
+  if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+    return { status: 400, error: "Invalid withdrawal ID" };
+  }
+  if (!ADMIN_STATUSES.includes(status)) {
+    return { status: 400, error: "Invalid status" };
+  }
+
+  const withdrawal = await Withdrawal.findById(transactionId);
+  if (!withdrawal) {
+    return { status: 404, error: "Withdrawal not found" };
+  }
+
+  const rejected = await changeStatus(actor, withdrawal, status, {
+    action: "withdrawal.verify",
+    by: actor.adminAddress,
+    reason,
+  });
+  if (rejected) return rejected;
+  await notifyAdmins("withdrawal.status", { withdrawal });
+  return { withdrawal };
+};
+
+const SUSPENSION_SCOPES = Suspension.schema.path("scope").enumValues;
+
+// scope defaults to full; expiresAt (a future date) makes it temporary
+const suspendAccount = async (
+  actor,
+  { address, reason, scope = "full", expiresAt }
+) => {
+  if (!ethers.isAddress(address)) {
+    return { status: 400, error: "Invalid Ethereum address" };
+  }
+  if (!SUSPENSION_SCOPES.includes(scope)) {
+    return {
+      status: 400,
+      error: `Invalid scope, expected one of ${SUSPENSION_SCOPES.join(", ")}`,
+    };
+  }
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && !(expires.getTime() > Date.now())) {
+    return { status: 400, error: "expiresAt must be a future date" };
+  }
+
+  // An expired suspension would still hold the address/scope slot
+  await expireSuspensions({ address: address.toLowerCase() });
+  const suspension = new Suspension({
+    address: address.toLowerCase(),
+    reason: reason || "No reason provided",
+    scope,
+    expiresAt: expires,
+    admin: actor.adminAddress,
+  });
+  try {
+    await suspension.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return {
+        status: 400,
+        error: `Account already suspended (scope ${scope})`,
+      };
+    }
+    throw error;
+  }
+  await recordAudit(actor, {
+    action: "suspension.create",
+    targetType: "Suspension",
+    targetId: suspension.address,
+    after: suspension,
+  });
+  await publishEvent("user.suspended", { suspension });
+  return { suspension };
+};
+
+// Ends one suspension, keeping it as history
+const liftSuspension = async (actor, suspension, reason) => {
+  const before = suspension.toObject();
+  suspension.active = false;
+  suspension.liftedAt = Date.now();
+  suspension.liftedBy = actor.adminAddress;
+  suspension.liftReason = reason || "No reason provided";
+  await suspension.save();
+  await recordAudit(actor, {
+    action: "suspension.lift",
+    targetType: "Suspension",
+    targetId: suspension.address,
+    before,
+    after: suspension,
+  });
+  await publishEvent("user.unsuspended", { suspension });
+};
+
+// Lifts the address's active suspensions, or only the one for `scope`
+const unsuspendAccount = async (actor, { address, scope, reason }) => {
+  if (!ethers.isAddress(address)) {
+    return { status: 400, error: "Invalid Ethereum address" };
+  }
+  await expireSuspensions({ address: address.toLowerCase() });
+  const suspensions = await Suspension.find({
+    address: address.toLowerCase(),
+    active: true,
+    ...(scope ? { scope } : {}),
+  });
+  if (suspensions.length === 0) {
+    return { status: 404, error: "Account not suspended" };
+  }
+  for (const suspension of suspensions) {
+    await liftSuspension(actor, suspension, reason);
+  }
+  return { suspensions };
+};
+
+// Accepting the pending appeal lifts the suspension; rejecting keeps it
+const reviewAppeal = async (actor, { suspensionId, decision, response }) => {
+  if (!mongoose.Types.ObjectId.isValid(suspensionId)) {
+    return { status: 400, error: "Invalid suspension ID" };
+  }
+  if (decision !== "accepted" && decision !== "rejected") {
+    return { status: 400, error: "decision must be accepted or rejected" };
+  }
+  if (response !== undefined && typeof response !== "string") {
+    return { status: 400, error: "Invalid response" };
+  }
+
+  const suspension = await Suspension.findById(suspensionId);
+  if (!suspension) {
+    return { status: 404, error: "Suspension not found" };
+  }
+  const appeal = suspension.appeals.find((entry) => entry.status === "pending");
+  if (!appeal) {
+    return { status: 400, error: "No pending appeal" };
+  }
+
+  const before = suspension.toObject();
+  appeal.status = decision;
+  appeal.reviewedBy = actor.adminAddress;
+  appeal.reviewedAt = Date.now();
+  appeal.response = response;
+  await suspension.save();
+  await recordAudit(actor, {
+    action: "suspension.appeal-review",
+    targetType: "Suspension",
+    targetId: suspension.address,
+    before,
+    after: suspension,
+  });
+  if (decision === "accepted" && suspension.active) {
+    await liftSuspension(actor, suspension, "Appeal accepted");
+  }
+  return { suspension };
+};
+
+module.exports = {
+  verifyTransaction,
+  verifyWithdrawal,
+  suspendAccount,
+  unsuspendAccount,
+  reviewAppeal,
+};
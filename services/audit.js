@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const AuditLog = require("../models/AuditLog");
+
+// prevHash of the first entry
+const GENESIS_HASH = "0".repeat(64);
+const HASHED_FIELDS = [
+  "seq",
+  "actor",
+  "actorRole",
+  "action",
+  "targetType",
+  "targetId",
+  "before",
+  "after",
+  "ip",
+  "createdAt",
+  "prevHash",
+];
+
+// Key-sorted JSON, so an entry hashes the same after a round trip to Mongo
+const canonicalJson = (value) => {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashEntry = (entry) => {
+  const fields = {};
+  for (const field of HASHED_FIELDS) fields[field] = entry[field];
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(fields))
+    .digest("hex");
+};
+
+// Plain JSON copy of a document (ObjectIds and Dates become strings)
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+  return JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+};
+
+const appendEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 });
+    const entry = {
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      createdAt: new Date(),
+      prevHash: last ? last.hash : GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry);
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      // Another server instance took this seq; chain onto its entry instead
+      if (error.code !== 11000 || attempt >= 5) throw error;
+    }
+  }
+};
+
+const getActor = (req) => {
+  if (req?.adminAddress) return { actor: req.adminAddress, actorRole: "admin" };
+  if (req?.userAddress) return { actor: req.userAddress, actorRole: "user" };
+  return { actor: "system", actorRole: "system" };
+};
+
+// Writes are queued so entries from concurrent requests chain in order
+let queue = Promise.resolve();
+
+// Records one mutation. `req` supplies the actor and IP; pass null for
+// background jobs. Never throws: the change it describes has already happened.
+const recordAudit = (req, { action, targetType, targetId, before, after }) => {
+  const fields = {
+    ...getActor(req),
+    action,
+    targetType,
+    targetId: String(targetId),
+    before: toSnapshot(before),
+    after: toSnapshot(after),
+    ip: req?.ip || null,
+  };
+
+  queue = queue
+    .then(() => appendEntry(fields))
+    .catch((error) => {
+      console.error("Audit log write failed:", {
+        message: error.message,
+        entry: fields,
+      });
+    });
+  return queue;
+};
+
+// Walks the chain in order and reports the first entry that does not match
+const verifyAuditChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  for await (const entry of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+    let problem = null;
+    if (entry.seq !== expectedSeq) {
+      problem = `Expected seq ${expectedSeq}, found ${entry.seq}`;
+    } else if (entry.prevHash !== prevHash) {
+      problem = "prevHash does not match the previous entry";
+    } else if (hashEntry(entry) !== entry.hash) {
+      problem = "Entry contents do not match its hash";
+    }
+    if (problem) {
+      return { valid: false, checked, brokenAt: entry.seq, problem };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+    checked += 1;
+  }
+  return { valid: true, checked };
+};
+
+module.exports = { recordAudit, verifyAuditChain };
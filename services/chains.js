@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  createRelayer,
+  missingRelayerConfig,
+  getBackend,
+} = require("./relayers");
+
+// Registry of supported chains, keyed by chainId. Loaded from CHAINS_CONFIG
+// (default config/chains.json); "${VAR}" values are read from the environment
+// so credentials stay in .env.
+//
+// Variables the default config reads for BSC (56). The testnet (97) entry
+// reads the same names prefixed BSC_TESTNET_. The local (31337) entry always
+// uses the local relayer and reads LOCAL_RPC_URL, LOCAL_RELAYER_PRIVATE_KEY
+// and the two contract addresses prefixed LOCAL_.
+//   RPC_URL                         JSON-RPC endpoint (required)
+//   DEFENDER_API_KEY/_API_SECRET    Defender relayer credentials
+//   RELAYER_PRIVATE_KEY             key for relayer.type "local"
+//   WITHDRAWAL_CONTRACT_ADDRESS     withdrawal contract (required)
+//   STAKING_CONTRACT_ADDRESS        staking contract that /relay forwards to and
+//                                   the indexer reads; when unset, /relay
+//                                   accepts any contract address
+//   INDEXER_START_BLOCK             first block the indexer backfills from
+const chains = new Map();
+
+const resolveEnv = (value) => {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || "");
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [key, resolveEnv(inner)])
+    );
+  }
+  return value;
+};
+
+const createChain = (chainId, config) => {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const relaySigner = createRelayer(config.relayer, provider);
+
+  // Looked up once for simulations and gas estimates
+  let relayerAddress;
+  const getRelayerAddress = async () => {
+    if (!relayerAddress) {
+      const relayer = await relaySigner.getRelayer();
+      relayerAddress = relayer.address;
+    }
+    return relayerAddress;
+  };
+
+  return {
+    chainId,
+    name: config.name || `Chain ${chainId}`,
+    provider,
+    relaySigner,
+    getRelayerAddress,
+    stakingContractAddress: config.stakingContractAddress
+      ? config.stakingContractAddress.toLowerCase()
+      : null,
+    withdrawalContractAddress: config.withdrawalContractAddress.toLowerCase(),
+    explorerUrl: config.explorerUrl || null,
+    // Blocks a withdrawal transaction needs before the server trusts it
+    confirmations: Number(config.confirmations) || 3,
+    // First block the event indexer backfills from (null: start at the tip)
+    startBlock:
+      config.startBlock === "" || config.startBlock == null
+        ? null
+        : Number(config.startBlock),
+  };
+};
+
+// Chains missing an RPC URL, relayer credentials or withdrawal contract are
+// skipped, so an unconfigured testnet entry does not stop the server
+const loadChains = () => {
+  const configPath =
+    process.env.CHAINS_CONFIG || path.join(__dirname, "../config/chains.json");
+  const entries = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+  chains.clear();
+  for (const [id, entry] of Object.entries(entries)) {
+    const chainId = Number(id);
+    const config = resolveEnv(entry);
+    const missing = [];
+    if (!config.rpcUrl) missing.push("rpcUrl");
+    missing.push(...missingRelayerConfig(config.relayer));
+    if (!ethers.isAddress(config.withdrawalContractAddress)) {
+      missing.push("withdrawalContractAddress");
+    }
+    if (missing.length > 0) {
+      console.log(`Chain ${chainId} disabled, missing:`, missing);
+      continue;
+    }
+
+    chains.set(chainId, createChain(chainId, config));
+    console.log(
+      `Chain ${chainId} enabled (${config.name}, ${getBackend(config.relayer)} relayer):`,
+      config.rpcUrl
+    );
+  }
+  return chains;
+};
+
+const getChain = (chainId) => chains.get(Number(chainId)) || null;
+
+const getChains = () => [...chains.values()];
+
+// Chain used where a request carries no chainId
+const getDefaultChain = () => getChain(process.env.DEFAULT_CHAIN_ID || 56);
+
+module.exports = { loadChains, getChain, getChains, getDefaultChain };
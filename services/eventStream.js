@@ -0,0 +1,83 @@
+const { hasPermission } = require("../config/permissions");
+const { findSession, getBearerToken } = require("./siwe");
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAMS_PER_ADDRESS =
+  Number(process.env.EVENT_STREAMS_PER_ADDRESS) || 5;
+
+// Open /api/events connections: { res, address, role }, role being the
+// admin's role or null for a user
+const streams = new Set();
+
+// What an admin needs to see each kind of event
+const ADMIN_PERMISSIONS = {
+  transaction: "transactions:read",
+  withdrawal: "withdrawals:read",
+  relay: "reports:read",
+  user: "reports:read",
+};
+
+// The wallet an event is about, for the record types users may follow
+const getOwner = (data) =>
+  data.transaction?.userId || data.withdrawal?.userId || data.job?.userAddress;
+
+const canSee = (stream, event, data) => {
+  if (stream.role) {
+    return hasPermission(stream.role, ADMIN_PERMISSIONS[event.split(".")[0]]);
+  }
+  return getOwner(data)?.toLowerCase() === stream.address;
+};
+
+// Keeps the response open as a Server-Sent Events stream. The heartbeat also
+// ends the stream once its session is revoked or expires.
+const openEventStream = (req, res) => {
+  const address = req.adminAddress || req.userAddress;
+  const open = [...streams].filter((stream) => stream.address === address);
+  if (open.length >= MAX_STREAMS_PER_ADDRESS) {
+    return res.status(429).json({ error: "Too many open event streams" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stops nginx from buffering the stream
+  });
+  res.write("retry: 5000\n\n");
+
+  const stream = { res, address, role: req.admin?.role || null };
+  streams.add(stream);
+
+  const token = getBearerToken(req);
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await findSession(token))) {
+        res.end();
+        return;
+      }
+    } catch (error) {
+      console.error("Event stream session check error:", error.message);
+    }
+    res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    streams.delete(stream);
+  });
+};
+
+// Event subscriber: writes the event to every stream allowed to see it
+const broadcastEvent = (event, data) => {
+  if (streams.size === 0) return;
+  const message = `event: ${event}\ndata: ${JSON.stringify({
+    event,
+    data,
+    at: new Date().toISOString(),
+  })}\n\n`;
+  for (const stream of streams) {
+    if (canSee(stream, event, data)) stream.res.write(message);
+  }
+};
+
+module.exports = { openEventStream, broadcastEvent };
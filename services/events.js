@@ -0,0 +1,51 @@
+// Domain events, published once the change they describe has been saved.
+// Outgoing integrator webhooks and the /api/events stream subscribe here.
+const EVENTS = [
+  "transaction.created",
+  "transaction.awaiting-verification",
+  "transaction.processing",
+  "transaction.verified",
+  "transaction.failed",
+  "transaction.refunded",
+  "transaction.cancelled",
+  "transaction.expired",
+  "withdrawal.created",
+  "withdrawal.processing",
+  "withdrawal.verified",
+  "withdrawal.failed",
+  "withdrawal.refunded",
+  "withdrawal.cancelled",
+  "withdrawal.expired",
+  "relay.queued",
+  "relay.submitted",
+  "relay.mined",
+  "relay.failed",
+  "relay.dropped",
+  "user.suspended",
+  "user.unsuspended",
+];
+
+const subscribers = [];
+
+// handler(event, data) is awaited for every published event
+const subscribeEvents = (handler) => {
+  subscribers.push(handler);
+};
+
+// The event for a Transaction/Withdrawal entering its current status, e.g.
+// "transaction.awaiting-verification"
+const statusEvent = (doc) =>
+  `${doc.constructor.modelName.toLowerCase()}.${doc.status.replace(/ /g, "-")}`;
+
+// Failures are logged, never thrown: the change has already been saved
+const publishEvent = async (event, data) => {
+  for (const handler of subscribers) {
+    try {
+      await handler(event, data);
+    } catch (error) {
+      console.error(`Event subscriber error (${event}):`, error.message);
+    }
+  }
+};
+
+module.exports = { EVENTS, subscribeEvents, statusEvent, publishEvent };
@@ -0,0 +1,127 @@
+const Transaction = require("../models/Transaction");
+const Withdrawal = require("../models/Withdrawal");
+const { changeStatus } = require("./statusMachine");
+const { notifyAdmins, notifyTransaction } = require("./notifications");
+const { expireSuspensions } = require("./suspensions");
+
+const MINUTE = 60 * 1000;
+
+const getExpirySettings = () => ({
+  interval: Number(process.env.EXPIRY_INTERVAL_MS) || MINUTE,
+  pendingTtl: (Number(process.env.EXPIRY_PENDING_TTL_MINUTES) || 60) * MINUTE,
+  // Buy orders marked paid but never verified get longer
+  awaitingTtl:
+    (Number(process.env.EXPIRY_AWAITING_TTL_MINUTES) || 24 * 60) * MINUTE,
+  reminderBefore: (Number(process.env.EXPIRY_REMINDER_MINUTES) || 15) * MINUTE,
+});
+
+// When the document entered its current status. Records older than
+// statusHistory fall back to createdAt (pending is the initial status) or
+// updatedAt.
+const enteredStatusAt = (doc) => {
+  const entry = [...doc.statusHistory]
+    .reverse()
+    .find((change) => change.to === doc.status);
+  const fallback = doc.status === "pending" ? doc.createdAt : doc.updatedAt;
+  return (entry?.at || fallback).getTime();
+};
+
+// remindOnly records are never expired, admins only get the reminder
+const expireDoc = async (Model, doc, ttl, remindOnly, { reminderBefore }) => {
+  const label = Model.modelName;
+  const deadline = enteredStatusAt(doc) + ttl;
+  const now = Date.now();
+
+  if (now >= deadline && !remindOnly) {
+    const reason = `No progress within ${ttl / MINUTE} minutes while ${doc.status}`;
+    const rejected = await changeStatus(null, doc, "expired", {
+      action: `${label.toLowerCase()}.expire`,
+      by: "system",
+      reason,
+    });
+    if (rejected) return;
+    console.log(`${label} expired:`, doc._id.toString());
+    if (Model === Transaction) {
+      await notifyTransaction(doc, "expired");
+    } else {
+      await notifyAdmins("record.expired", { label, record: doc, reason });
+    }
+    return;
+  }
+
+  // One reminder per status: a reminder sent for an earlier status is older
+  // than the time the document entered this one
+  const reminded =
+    doc.expiryReminderSentAt &&
+    doc.expiryReminderSentAt.getTime() >= enteredStatusAt(doc);
+  if (now >= deadline - reminderBefore && !reminded) {
+    doc.expiryReminderSentAt = now;
+    await doc.save();
+    await notifyAdmins("record.expiry-reminder", {
+      label,
+      record: doc,
+      deadline: new Date(deadline),
+      expires: !remindOnly,
+    });
+  }
+};
+
+const runExpiry = async () => {
+  const settings = getExpirySettings();
+  // A pending withdrawal's USDT is already in the contract, and expired is
+  // final, so expiring it would leave the user unpaid
+  const rules = [
+    [Transaction, "pending", settings.pendingTtl, false],
+    [Transaction, "awaiting verification", settings.awaitingTtl, false],
+    [Withdrawal, "pending", settings.pendingTtl, true],
+  ];
+
+  for (const [Model, status, ttl, remindOnly] of rules) {
+    // Nothing entered its status before it was created, so this never misses
+    // a document that is due
+    const due = await Model.find({
+      status,
+      createdAt: { $lte: new Date(Date.now() - ttl + settings.reminderBefore) },
+    });
+    for (const doc of due) {
+      try {
+        await expireDoc(Model, doc, ttl, remindOnly, settings);
+      } catch (error) {
+        console.error(
+          `Expiry error (${Model.modelName} ${doc._id}):`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Temporary suspensions past expiresAt
+  const lifted = await expireSuspensions();
+  if (lifted > 0) console.log(`Suspensions expired: ${lifted}`);
+};
+
+const startExpiryScheduler = () => {
+  if (process.env.EXPIRY_ENABLED === "false") {
+    console.log("Expiry scheduler disabled");
+    return;
+  }
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runExpiry();
+    } catch (error) {
+      console.error("Expiry scheduler error:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  setInterval(run, getExpirySettings().interval);
+  run();
+  console.log("Expiry scheduler started");
+};
+
+module.exports = { startExpiryScheduler, runExpiry };
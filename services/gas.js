@@ -0,0 +1,62 @@
+const { ethers } = require("ethers");
+
+// Multipliers applied to the network gas price for each relayer speed
+const SPEED_TIERS = {
+  safeLow: 1.0,
+  average: 1.1,
+  fast: 1.25,
+  fastest: 1.5,
+};
+
+const DEFAULT_MAX_GAS = 500000n;
+
+// Scales a bigint by a decimal factor, to three decimal places
+const scale = (value, factor) =>
+  (value * BigInt(Math.round(factor * 1000))) / 1000n;
+
+const getGasSettings = () => ({
+  limitMultiplier: Number(process.env.GAS_LIMIT_MULTIPLIER) || 1.2,
+  priceFloor: ethers.parseUnits(
+    process.env.GAS_PRICE_FLOOR_GWEI || "1",
+    "gwei"
+  ),
+  priceCeiling: ethers.parseUnits(
+    process.env.GAS_PRICE_CEILING_GWEI || "20",
+    "gwei"
+  ),
+});
+
+// Estimates gas for `tx` sent from the relayer and pads it by the safety
+// multiplier, clamped to the function's cap. Throws when even the raw
+// estimate is over the cap.
+const estimateGasLimit = async ({ provider, from, tx, maxGas }) => {
+  const { limitMultiplier } = getGasSettings();
+  const estimate = await provider.estimateGas({
+    from,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value || 0,
+  });
+  const cap = maxGas ? BigInt(maxGas) : DEFAULT_MAX_GAS;
+  const gasLimit = scale(estimate, limitMultiplier);
+
+  if (estimate > cap) {
+    throw new Error(`Gas estimate ${estimate} exceeds the cap of ${cap}`);
+  }
+  return gasLimit > cap ? cap : gasLimit;
+};
+
+// Network gas price scaled by the speed tier and clamped to floor/ceiling
+const getGasPrice = async ({ provider, speed }) => {
+  const { priceFloor, priceCeiling } = getGasSettings();
+  const feeData = await provider.getFeeData();
+  const networkPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? priceFloor;
+  const factor = SPEED_TIERS[speed] ?? SPEED_TIERS.fast;
+
+  let gasPrice = scale(networkPrice, factor);
+  if (gasPrice < priceFloor) gasPrice = priceFloor;
+  if (gasPrice > priceCeiling) gasPrice = priceCeiling;
+  return gasPrice;
+};
+
+module.exports = { SPEED_TIERS, estimateGasLimit, getGasPrice };
@@ -0,0 +1,199 @@
+const { ethers } = require("ethers");
+const ChainEvent = require("../models/ChainEvent");
+const IndexerCursor = require("../models/IndexerCursor");
+const StakingContractABI = require("../StakingContractABI.json");
+const WithdrawalABI = require("../WithdrawalABI.json");
+
+const INTERFACES = {
+  staking: new ethers.Interface(StakingContractABI),
+  withdrawal: new ethers.Interface(WithdrawalABI),
+};
+
+let deps = null;
+let running = false;
+
+const getIndexerSettings = () => ({
+  pollInterval: Number(process.env.INDEXER_POLL_INTERVAL_MS) || 15000,
+  // Blocks re-read on every pass so events from reorged blocks get replaced
+  reorgDepth: Number(process.env.INDEXER_REORG_DEPTH) || 15,
+  batchSize: Number(process.env.INDEXER_BATCH_SIZE) || 2000,
+});
+
+const toJson = (value) => {
+  if (typeof value === "bigint") return value.toString();
+  // Indexed dynamic types (e.g. ParameterUpdated.parameter) only carry a hash
+  if (value instanceof ethers.Indexed) return value.hash;
+  if (Array.isArray(value)) return value.map(toJson);
+  return value;
+};
+
+const decodeLog = (chainId, contract, log) => {
+  let parsed;
+  try {
+    parsed = INTERFACES[contract].parseLog(log);
+  } catch (error) {
+    console.error("Indexer: undecodable log", {
+      chainId,
+      transactionHash: log.transactionHash,
+      message: error.message,
+    });
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = {};
+  const addresses = [];
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = toJson(parsed.args[i]);
+    args[input.name] = value;
+    if (input.type === "address") addresses.push(value.toLowerCase());
+  });
+
+  return {
+    chainId,
+    contract,
+    address: log.address.toLowerCase(),
+    name: parsed.name,
+    args,
+    addresses,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash.toLowerCase(),
+    logIndex: log.index,
+  };
+};
+
+// Reads [fromBlock, toBlock] for one contract and makes the stored events in
+// that range match the chain exactly
+const indexRange = async (chain, contract, address, fromBlock, toBlock) => {
+  const logs = await chain.provider.getLogs({ address, fromBlock, toBlock });
+  const events = logs
+    .map((log) => decodeLog(chain.chainId, contract, log))
+    .filter(Boolean);
+
+  const timestamps = new Map();
+  for (const event of events) {
+    if (!timestamps.has(event.blockNumber)) {
+      const block = await chain.provider.getBlock(event.blockNumber);
+      timestamps.set(event.blockNumber, new Date(block.timestamp * 1000));
+    }
+    event.timestamp = timestamps.get(event.blockNumber);
+  }
+
+  if (events.length > 0) {
+    await ChainEvent.bulkWrite(
+      events.map((event) => ({
+        updateOne: {
+          filter: {
+            chainId: event.chainId,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+          },
+          update: { $set: event },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  // Anything stored for this range that the chain no longer has was reorged out
+  const removed = await ChainEvent.deleteMany({
+    chainId: chain.chainId,
+    address,
+    blockNumber: { $gte: fromBlock, $lte: toBlock },
+    blockHash: { $nin: [...new Set(events.map((event) => event.blockHash))] },
+  });
+  if (removed.deletedCount > 0) {
+    console.log(
+      `Indexer: removed ${removed.deletedCount} reorged events on chain ${chain.chainId}`
+    );
+  }
+
+  return events.length;
+};
+
+const indexContract = async (chain, contract, address) => {
+  const { reorgDepth, batchSize } = getIndexerSettings();
+  const latest = await chain.provider.getBlockNumber();
+
+  let cursor = await IndexerCursor.findOne({ chainId: chain.chainId, address });
+  if (!cursor) {
+    // Without a configured start block, index from now on rather than
+    // scanning the whole chain
+    const startBlock = chain.startBlock ?? latest;
+    cursor = new IndexerCursor({
+      chainId: chain.chainId,
+      address,
+      startBlock,
+      lastBlock: startBlock - 1,
+    });
+    console.log(
+      `Indexer: ${contract} on chain ${chain.chainId} starts at block ${startBlock}`
+    );
+  } else if (cursor.startBlock == null) {
+    // Cursors from before startBlock was stored only vouch for what comes next
+    cursor.startBlock = chain.startBlock ?? cursor.lastBlock + 1;
+    await cursor.save();
+  }
+
+  while (cursor.lastBlock < latest) {
+    const fromBlock = Math.max(
+      chain.startBlock ?? 0,
+      cursor.lastBlock + 1 - reorgDepth
+    );
+    const toBlock = Math.min(latest, cursor.lastBlock + batchSize);
+    const count = await indexRange(
+      chain,
+      contract,
+      address,
+      fromBlock,
+      toBlock
+    );
+    cursor.lastBlock = toBlock;
+    await cursor.save();
+    if (count > 0) {
+      console.log(
+        `Indexer: ${count} ${contract} events in blocks ${fromBlock}-${toBlock} on chain ${chain.chainId}`
+      );
+    }
+  }
+};
+
+const runIndexer = async () => {
+  if (!deps || running) return;
+  running = true;
+  try {
+    for (const chain of deps.getChains()) {
+      const contracts = [
+        ["staking", chain.stakingContractAddress],
+        ["withdrawal", chain.withdrawalContractAddress],
+      ];
+      for (const [contract, address] of contracts) {
+        if (!address) continue;
+        try {
+          await indexContract(chain, contract, address);
+        } catch (error) {
+          console.error(
+            `Indexer error (${contract}, chain ${chain.chainId}):`,
+            error.message
+          );
+        }
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const startIndexer = ({ getChains }) => {
+  if (process.env.INDEXER_ENABLED === "false") {
+    console.log("Event indexer disabled");
+    return;
+  }
+  deps = { getChains };
+  setInterval(runIndexer, getIndexerSettings().pollInterval);
+  runIndexer();
+  console.log("Event indexer started");
+};
+
+module.exports = { startIndexer, runIndexer };
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+const Transaction = require("../models/Transaction");
+const Withdrawal = require("../models/Withdrawal");
+const User = require("../models/User");
+
+// Amount limits per KYC tier plus the global payout cap. Loaded from
+// LIMITS_CONFIG (default config/limits.json).
+let config = null;
+
+const getLimitsConfig = () => {
+  if (!config) {
+    const file =
+      process.env.LIMITS_CONFIG ||
+      path.join(__dirname, "..", "config", "limits.json");
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return config;
+};
+
+const getKycTiers = () => getLimitsConfig().tiers;
+
+// Records that still represent money moving; cancelled, expired, failed and
+// refunded ones do not use up a limit
+const COUNTED_STATUSES = [
+  "pending",
+  "awaiting verification",
+  "processing",
+  "verified",
+];
+
+// Days and months run in UTC
+const startOfDay = (now) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const startOfMonth = (now) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const sumField = async (Model, field, match) => {
+  const [result] = await Model.aggregate([
+    { $match: { ...match, status: { $in: COUNTED_STATUSES } } },
+    { $group: { _id: null, total: { $sum: `$${field}` } } },
+  ]);
+  return result?.total || 0;
+};
+
+// USDT a wallet has bought and sold since `since`
+const getWalletVolume = async (userId, since) => {
+  const match = { userId, createdAt: { $gte: since } };
+  const [bought, sold] = await Promise.all([
+    sumField(Transaction, "usdtAmount", match),
+    sumField(Withdrawal, "usdtAmount", match),
+  ]);
+  return round(bought + sold);
+};
+
+const getKycTier = async (userId) => {
+  const user = await User.findOne({ address: userId });
+  return user?.kycTier ?? 0;
+};
+
+// A wallet's tier limits, what it has used and what is left
+const getWalletLimits = async (userId, now = new Date()) => {
+  const kycTier = await getKycTier(userId);
+  const tier = getKycTiers()[kycTier] || getKycTiers()[0];
+  const [daily, monthly] = await Promise.all([
+    getWalletVolume(userId, startOfDay(now)),
+    getWalletVolume(userId, startOfMonth(now)),
+  ]);
+  return {
+    kycTier,
+    tier,
+    used: { daily, monthly },
+    remaining: {
+      daily: Math.max(0, round(tier.dailyUsdt - daily)),
+      monthly: Math.max(0, round(tier.monthlyUsdt - monthly)),
+    },
+  };
+};
+
+const reject = (limit, error, details) => ({
+  status: 403,
+  error,
+  limit,
+  ...details,
+});
+
+// Checks a new Transaction ("buy") or Withdrawal ("sell") against the
+// wallet's tier and, for payouts, the global daily cap. Returns null, or
+// { status, error, limit, ... } naming the limit and the headroom left.
+const checkLimits = async ({ userId, side, usdtAmount, nairaAmount }) => {
+  const amount = Number(usdtAmount);
+  const { kycTier, tier, remaining } = await getWalletLimits(userId);
+  const name = `KYC tier ${kycTier} (${tier.name})`;
+
+  if (amount < tier.minUsdt) {
+    return reject(
+      "minimum",
+      `Minimum per transaction for ${name} is ${tier.minUsdt} USDT`,
+      { kycTier, min: tier.minUsdt }
+    );
+  }
+  if (amount > tier.maxUsdt) {
+    return reject(
+      "maximum",
+      `Maximum per transaction for ${name} is ${tier.maxUsdt} USDT`,
+      { kycTier, max: tier.maxUsdt }
+    );
+  }
+  if (amount > remaining.daily) {
+    return reject(
+      "daily",
+      `Daily limit for ${name} is ${tier.dailyUsdt} USDT; ${remaining.daily} USDT left today (resets 00:00 UTC)`,
+      { kycTier, max: tier.dailyUsdt, remaining: remaining.daily }
+    );
+  }
+  if (amount > remaining.monthly) {
+    return reject(
+      "monthly",
+      `Monthly limit for ${name} is ${tier.monthlyUsdt} USDT; ${remaining.monthly} USDT left this month`,
+      { kycTier, max: tier.monthlyUsdt, remaining: remaining.monthly }
+    );
+  }
+
+  if (side === "sell") {
+    const cap = getLimitsConfig().globalDailyPayoutNaira;
+    const paidOut = await sumField(Withdrawal, "nairaAmount", {
+      createdAt: { $gte: startOfDay(new Date()) },
+    });
+    const left = Math.max(0, round(cap - paidOut));
+    if (nairaAmount > left) {
+      return reject(
+        "globalDailyPayout",
+        `Daily payout capacity is ${cap} NGN; ${left} NGN left today (resets 00:00 UTC)`,
+        { max: cap, remaining: left }
+      );
+    }
+  }
+  return null;
+};
+
+module.exports = { getKycTiers, getWalletLimits, checkLimits };
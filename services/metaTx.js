@@ -0,0 +1,195 @@
+const { ethers } = require("ethers");
+
+// EIP-712 struct types signed by the frontend for each relayable meta-function.
+// Field order must match the typehash in the contracts.
+const META_TYPES = {
+  executeMetaStake: {
+    MetaStake: [
+      { name: "user", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "referrer", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  executeMetaUnstake: {
+    MetaUnstake: [
+      { name: "user", type: "address" },
+      { name: "stakeIndex", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "early", type: "bool" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  executeMetaCompound: {
+    MetaCompound: [
+      { name: "user", type: "address" },
+      { name: "stakeIndex", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  executeMetaWithdrawReward: {
+    MetaWithdrawReward: [
+      { name: "user", type: "address" },
+      { name: "stakeIndex", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  executeMetaWithdrawReferralBonus: {
+    MetaWithdrawReferralBonus: [
+      { name: "user", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  executeMetaBatchWithdrawRewards: {
+    MetaBatchWithdrawRewards: [
+      { name: "user", type: "address" },
+      { name: "stakeIndices", type: "uint256[]" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  executeMetaWithdrawal: {
+    Withdrawal: [
+      { name: "user", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "bankDetails", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+// eip712Domain() is immutable per deployment, so cache it by chain and
+// contract address; the same address on two chains is two deployments
+const domainCache = new Map();
+
+const getDomain = async (contract, networkId) => {
+  const key = `${networkId}:${(await contract.getAddress()).toLowerCase()}`;
+  if (domainCache.has(key)) {
+    return domainCache.get(key);
+  }
+
+  const [fields, name, version, chainId, verifyingContract, salt] =
+    await contract.eip712Domain();
+  // ERC-5267: each bit of `fields` marks a domain member as present
+  const bits = Number(fields);
+  const domain = {};
+  if (bits & 0x01) domain.name = name;
+  if (bits & 0x02) domain.version = version;
+  if (bits & 0x04) domain.chainId = chainId;
+  if (bits & 0x08) domain.verifyingContract = verifyingContract;
+  if (bits & 0x10) domain.salt = salt;
+
+  domainCache.set(key, domain);
+  return domain;
+};
+
+// Checks a meta-transaction before the relayer pays for it. Returns null when
+// the signature is good, otherwise { status, error } for the HTTP response.
+const verifyMetaSignature = async ({
+  chainId,
+  contract,
+  functionName,
+  args,
+  userAddress,
+  signature,
+}) => {
+  const types = META_TYPES[functionName];
+  if (!types) {
+    return { status: 400, error: `Unsupported meta function: ${functionName}` };
+  }
+
+  const fragment = contract.interface.getFunction(functionName);
+  if (!Array.isArray(args) || args.length !== fragment.inputs.length) {
+    return {
+      status: 400,
+      error: `Expected ${fragment.inputs.length} args for ${functionName}`,
+    };
+  }
+  const named = {};
+  fragment.inputs.forEach((input, i) => {
+    named[input.name] = args[i];
+  });
+
+  if (
+    !ethers.isAddress(named.user) ||
+    named.user.toLowerCase() !== userAddress.toLowerCase()
+  ) {
+    return {
+      status: 403,
+      error: "Meta-transaction user does not match userAddress",
+    };
+  }
+
+  let deadline;
+  try {
+    deadline = BigInt(named.deadline);
+  } catch {
+    return { status: 400, error: "Invalid deadline" };
+  }
+  if (deadline < BigInt(Math.floor(Date.now() / 1000))) {
+    return { status: 400, error: "Signature deadline has passed" };
+  }
+
+  // The contract checks the v/r/s args, not the signature field, so they must agree
+  let sig;
+  try {
+    sig = ethers.Signature.from(signature);
+  } catch {
+    return { status: 400, error: "Invalid signature format" };
+  }
+  if (
+    Number(named.v) !== sig.v ||
+    String(named.r).toLowerCase() !== sig.r.toLowerCase() ||
+    String(named.s).toLowerCase() !== sig.s.toLowerCase()
+  ) {
+    return { status: 400, error: "Signature does not match v, r, s arguments" };
+  }
+
+  const [domain, nonce] = await Promise.all([
+    getDomain(contract, chainId),
+    contract.getNonce(userAddress),
+  ]);
+  const primaryType = Object.keys(types)[0];
+  const message = { ...named, nonce };
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, types, message, signature);
+  } catch (error) {
+    return { status: 400, error: `Invalid typed data: ${error.message}` };
+  }
+
+  if (signer.toLowerCase() !== userAddress.toLowerCase()) {
+    // Distinguish a replayed signature from a plain bad one for the client
+    if (nonce > 0n) {
+      const previous = ethers.verifyTypedData(
+        domain,
+        types,
+        { ...named, nonce: nonce - 1n },
+        signature
+      );
+      if (previous.toLowerCase() === userAddress.toLowerCase()) {
+        return { status: 409, error: "Nonce is stale, signature already used" };
+      }
+    }
+    console.error("Meta-transaction signer mismatch:", {
+      functionName,
+      primaryType,
+      signer,
+      userAddress,
+      nonce: nonce.toString(),
+    });
+    return { status: 403, error: "Signature does not match userAddress" };
+  }
+
+  return null;
+};
+
+module.exports = { META_TYPES, getDomain, verifyMetaSignature };
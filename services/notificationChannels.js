@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+let bot = null;
+let mailer = null;
+
+const initChannels = ({ bot: telegramBot }) => {
+  bot = telegramBot;
+};
+
+const getMailer = () => {
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailer;
+};
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// HMAC-SHA256 over "<timestamp>.<body>". Receivers recompute it with the
+// shared secret and reject stale timestamps to stop replays.
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+// Delivery channels for the notification outbox. adminRecipients() lists
+// where admin notifications go, empty when the channel is not configured;
+// send(notification) throws on failure so the dispatcher retries.
+const CHANNELS = {
+  // TELEGRAM_CHAT_ID is the admin group; users' linked chats are queued
+  // directly
+  telegram: {
+    adminRecipients: () =>
+      process.env.TELEGRAM_CHAT_ID ? [process.env.TELEGRAM_CHAT_ID] : [],
+    send: async (notification) => {
+      if (!bot) throw new Error("Telegram bot is not initialised");
+      await bot.sendMessage(
+        notification.recipient,
+        notification.text,
+        notification.replyMarkup
+          ? { reply_markup: notification.replyMarkup }
+          : {}
+      );
+    },
+  },
+
+  // SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_FROM, sent to each of
+  // NOTIFY_ADMIN_EMAILS
+  email: {
+    adminRecipients: () =>
+      process.env.SMTP_HOST ? splitList(process.env.NOTIFY_ADMIN_EMAILS) : [],
+    send: async (notification) => {
+      await getMailer().sendMail({
+        from: process.env.SMTP_FROM,
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.text,
+      });
+    },
+  },
+
+  // JSON POST to NOTIFY_WEBHOOK_URL, signed with NOTIFY_WEBHOOK_SECRET
+  webhook: {
+    adminRecipients: () =>
+      process.env.NOTIFY_WEBHOOK_URL && process.env.NOTIFY_WEBHOOK_SECRET
+        ? [process.env.NOTIFY_WEBHOOK_URL]
+        : [],
+    send: async (notification) => {
+      const body = JSON.stringify({
+        id: notification._id,
+        event: notification.template,
+        subject: notification.subject,
+        text: notification.text,
+        data: notification.data,
+        createdAt: notification.createdAt,
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = signPayload(
+        process.env.NOTIFY_WEBHOOK_SECRET,
+        timestamp,
+        body
+      );
+      const response = await fetch(notification.recipient, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Signature-Timestamp": String(timestamp),
+          "X-Signature": `sha256=${signature}`,
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook returned ${response.status}`);
+      }
+    },
+  },
+};
+
+module.exports = { CHANNELS, initChannels, signPayload };
@@ -0,0 +1,95 @@
+const Notification = require("../models/Notification");
+const { CHANNELS, initChannels } = require("./notificationChannels");
+
+const getDispatchSettings = () => ({
+  interval: Number(process.env.NOTIFY_POLL_INTERVAL_MS) || 5000,
+  retryBase: Number(process.env.NOTIFY_RETRY_BASE_MS) || 30 * 1000,
+  retryMax: Number(process.env.NOTIFY_RETRY_MAX_MS) || 60 * 60 * 1000,
+  maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 8,
+  // A claim older than this is taken to belong to a process that died
+  lockTimeout: Number(process.env.NOTIFY_LOCK_TIMEOUT_MS) || 5 * 60 * 1000,
+});
+
+let running = false;
+
+// Doubles after each failed attempt, up to retryMax
+const retryDelay = (attempts, { retryBase, retryMax }) =>
+  Math.min(retryBase * 2 ** (attempts - 1), retryMax);
+
+const deliver = async (notification, settings) => {
+  notification.attempts += 1;
+  try {
+    await CHANNELS[notification.channel].send(notification);
+    notification.status = "sent";
+    notification.sentAt = Date.now();
+  } catch (error) {
+    notification.lastError = error.message;
+    if (notification.attempts >= settings.maxAttempts) {
+      notification.status = "failed";
+      console.error(
+        `Notification ${notification._id} (${notification.channel}) failed after ${notification.attempts} attempts:`,
+        error.message
+      );
+    } else {
+      notification.status = "pending";
+      notification.nextAttemptAt =
+        Date.now() + retryDelay(notification.attempts, settings);
+    }
+  }
+  notification.lockedAt = null;
+  await notification.save();
+};
+
+// A message claimed by a process that stopped may or may not have gone out.
+// A duplicate is better than a lost alert, so queue it again. Fresh claims
+// are left to the process (possibly another instance) that holds them.
+const reclaimStale = async ({ lockTimeout }) => {
+  const stale = await Notification.updateMany(
+    {
+      status: "sending",
+      lockedAt: { $lte: new Date(Date.now() - lockTimeout) },
+    },
+    { status: "pending", lockedAt: null, updatedAt: Date.now() }
+  );
+  if (stale.modifiedCount > 0) {
+    console.log(
+      `Notification dispatcher: requeued ${stale.modifiedCount} stale notifications`
+    );
+  }
+};
+
+const processNotifications = async () => {
+  if (running) return;
+  running = true;
+  const settings = getDispatchSettings();
+  try {
+    await reclaimStale(settings);
+    let notification;
+    while (
+      (notification = await Notification.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { status: "sending", lockedAt: Date.now() },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ))
+    ) {
+      await deliver(notification, settings);
+    }
+  } catch (error) {
+    console.error("Notification dispatcher error:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startNotificationDispatcher = async ({ bot }) => {
+  initChannels({ bot });
+  setInterval(processNotifications, getDispatchSettings().interval);
+  processNotifications();
+  console.log("Notification dispatcher started");
+};
+
+module.exports = {
+  startNotificationDispatcher,
+  processNotifications,
+  retryDelay,
+};
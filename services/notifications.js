@@ -0,0 +1,64 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { renderTemplate } = require("../config/notificationTemplates");
+const { CHANNELS } = require("./notificationChannels");
+
+// Queues a template for each { channel, recipient }; the notification
+// dispatcher delivers it. Failures are logged, never thrown: the change being
+// announced has already been saved.
+const enqueue = async (template, data, recipients) => {
+  if (recipients.length === 0) return;
+  try {
+    const { subject, text, replyMarkup } = renderTemplate(template, data);
+    // Plain JSON snapshot for webhook receivers
+    const payload = JSON.parse(JSON.stringify(data));
+    await Notification.insertMany(
+      recipients.map(({ channel, recipient }) => ({
+        channel,
+        recipient,
+        template,
+        subject,
+        text,
+        replyMarkup: channel === "telegram" ? replyMarkup : undefined,
+        data: channel === "webhook" ? payload : undefined,
+      }))
+    );
+  } catch (error) {
+    console.error(`Notification queue error (${template}):`, error.message);
+  }
+};
+
+const getAdminRecipients = () =>
+  Object.entries(CHANNELS).flatMap(([channel, { adminRecipients }]) =>
+    adminRecipients().map((recipient) => ({ channel, recipient }))
+  );
+
+// Every configured admin channel
+const notifyAdmins = (template, data) =>
+  enqueue(template, data, getAdminRecipients());
+
+// Users are reached on Telegram once they have linked a chat
+const notifyUser = async (userId, template, data) => {
+  let user;
+  try {
+    user = await User.findOne({ address: userId });
+  } catch (error) {
+    console.error("User notification error:", error.message);
+    return;
+  }
+  if (!user?.telegramChatId) return;
+  await enqueue(template, data, [
+    { channel: "telegram", recipient: user.telegramChatId },
+  ]);
+};
+
+// Tells the admins, and the user, about a Transaction event
+const notifyTransaction = async (transaction, event) => {
+  await notifyAdmins("transaction.admin", { transaction, event });
+  await notifyUser(transaction.userId, "transaction.user", {
+    transaction,
+    event,
+  });
+};
+
+module.exports = { notifyAdmins, notifyUser, notifyTransaction };
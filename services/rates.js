@@ -0,0 +1,232 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const Quote = require("../models/Quote");
+
+// Where current rates come from. RATE_PROVIDER picks one:
+//   manual  admins set them with POST /api/rates (default)
+//   stub    fixed RATE_STUB_BUY/RATE_STUB_SELL, for local development and tests
+//   http    GET RATE_PROVIDER_URL, which must answer { buy, sell }
+const PROVIDERS = {
+  manual: null,
+  stub: async () => ({
+    buy: Number(process.env.RATE_STUB_BUY) || 1600,
+    sell: Number(process.env.RATE_STUB_SELL) || 1550,
+  }),
+  http: async () => {
+    const response = await fetch(process.env.RATE_PROVIDER_URL);
+    if (!response.ok) {
+      throw new Error(`Rate provider returned ${response.status}`);
+    }
+    const { buy, sell } = await response.json();
+    return { buy: Number(buy), sell: Number(sell) };
+  },
+};
+
+const getRateSettings = () => ({
+  provider: process.env.RATE_PROVIDER || "manual",
+  refreshMs: (Number(process.env.RATE_REFRESH_SECONDS) || 300) * 1000,
+  feePercent: Number(process.env.RATE_FEE_PERCENT) || 0,
+  quoteTtlMs: (Number(process.env.QUOTE_TTL_MINUTES) || 10) * 60 * 1000,
+  // How long a locked sell quote waits for the relayed transfer to be mined
+  quoteLockMs: (Number(process.env.QUOTE_LOCK_MINUTES) || 60) * 60 * 1000,
+});
+
+const isValidRate = (value) => Number.isFinite(value) && value > 0;
+
+// Current rates, pulling from the provider when the stored ones are stale.
+// A provider outage keeps serving the last stored rates. Returns null when no
+// rates have ever been set.
+const getCurrentRates = async () => {
+  const { provider, refreshMs } = getRateSettings();
+  const current = await ExchangeRate.findOne().sort({ createdAt: -1 });
+  const fetchRates = PROVIDERS[provider];
+  if (!fetchRates) return current;
+  if (current && Date.now() - current.createdAt.getTime() < refreshMs) {
+    return current;
+  }
+
+  try {
+    const { buy, sell } = await fetchRates();
+    if (!isValidRate(buy) || !isValidRate(sell)) {
+      throw new Error(`Invalid rates from provider: ${buy}/${sell}`);
+    }
+    return await ExchangeRate.create({ buy, sell, source: provider });
+  } catch (error) {
+    console.error(`Rate provider (${provider}) error:`, error.message);
+    return current;
+  }
+};
+
+// Rates set by an admin. Refused when a provider owns the rates.
+const setManualRates = async ({ buy, sell, setBy }) => {
+  const { provider } = getRateSettings();
+  if (provider !== "manual") {
+    return {
+      status: 409,
+      error: `Rates come from the ${provider} provider`,
+    };
+  }
+  if (!isValidRate(buy) || !isValidRate(sell)) {
+    return { status: 400, error: "buy and sell must be positive numbers" };
+  }
+  const rates = await ExchangeRate.create({
+    buy,
+    sell,
+    source: "manual",
+    setBy,
+  });
+  return { rates };
+};
+
+const roundNaira = (value) => Math.round(value * 100) / 100;
+
+// Buyers pay the fee on top; sellers have it taken off what they receive
+const priceOrder = (rates, side, usdtAmount) => {
+  const { feePercent } = getRateSettings();
+  const rate = side === "buy" ? rates.buy : rates.sell;
+  const gross = Number(usdtAmount) * rate;
+  const fee = roundNaira((gross * feePercent) / 100);
+  const nairaAmount = roundNaira(side === "buy" ? gross + fee : gross - fee);
+  return { rate, feePercent, fee, nairaAmount, rateId: rates._id };
+};
+
+const createQuote = async ({ userId, side, usdtAmount }) => {
+  const rates = await getCurrentRates();
+  if (!rates) {
+    return { status: 503, error: "Exchange rates are not available" };
+  }
+  const quote = await Quote.create({
+    userId,
+    side,
+    usdtAmount,
+    ...priceOrder(rates, side, usdtAmount),
+    expiresAt: Date.now() + getRateSettings().quoteTtlMs,
+  });
+  return { quote };
+};
+
+// Makes a claimed quote usable again when the order it priced was not saved
+const releaseQuote = (quoteId) =>
+  Quote.updateOne({ _id: quoteId }, { usedAt: null });
+
+// The sell quote /relay-withdrawal will lock, checked before anything is
+// simulated. A quote already locked by another relayed withdrawal is refused.
+// Returns { quote }, or { status, error }.
+const findLockableQuote = async ({ userId, usdtAmount, quoteId }) => {
+  const quote = await Quote.findOne({
+    _id: quoteId,
+    userId,
+    side: "sell",
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!quote) {
+    return { status: 400, error: "Quote is invalid, used or expired" };
+  }
+  if (quote.lockedAt) {
+    return { status: 409, error: "Quote is already locked by a withdrawal" };
+  }
+  if (quote.usdtAmount !== Number(usdtAmount)) {
+    return { status: 400, error: "Withdrawal amount does not match the quote" };
+  }
+  return { quote };
+};
+
+// Locks a quote from findLockableQuote right before the withdrawal's USDT
+// moves: it is kept valid for QUOTE_LOCK_MINUTES so the relayed transfer is
+// mined while it holds. Claimed atomically so one quote cannot back two
+// transfers. Returns { quote }, or { status, error }.
+const lockQuote = async (quote) => {
+  const now = Date.now();
+  const locked = await Quote.findOneAndUpdate(
+    {
+      _id: quote._id,
+      usedAt: null,
+      lockedAt: null,
+      expiresAt: { $gt: new Date(now) },
+    },
+    {
+      lockedAt: now,
+      expiresAt: Math.max(
+        quote.expiresAt.getTime(),
+        now + getRateSettings().quoteLockMs
+      ),
+    },
+    { new: true }
+  );
+  if (!locked) {
+    return {
+      status: 409,
+      error: "Quote was used or locked by another request",
+    };
+  }
+  return { quote: locked };
+};
+
+// Undoes lockQuote when the relayed transfer did not happen. The quote gets
+// back its own QUOTE_TTL_MINUTES expiry, so a lock cannot stretch it.
+const unlockQuote = async (quoteId) => {
+  const quote = await Quote.findOne({ _id: quoteId, usedAt: null });
+  if (!quote?.lockedAt) return;
+  await Quote.updateOne(
+    { _id: quote._id, usedAt: null },
+    {
+      lockedAt: null,
+      expiresAt: quote.createdAt.getTime() + getRateSettings().quoteTtlMs,
+    }
+  );
+};
+
+// The price for a new Transaction/Withdrawal: the quote when quoteId is
+// given, which is marked used, otherwise the current rates. The quote must
+// be valid at `pricedAt`, e.g. when a withdrawal's transfer was mined.
+const resolvePrice = async ({
+  userId,
+  side,
+  usdtAmount,
+  quoteId,
+  pricedAt = new Date(),
+}) => {
+  if (!quoteId) {
+    const rates = await getCurrentRates();
+    if (!rates) {
+      return { status: 503, error: "Exchange rates are not available" };
+    }
+    return { price: priceOrder(rates, side, usdtAmount) };
+  }
+
+  // Claimed atomically so a quote cannot back two orders
+  const quote = await Quote.findOneAndUpdate(
+    {
+      _id: quoteId,
+      userId,
+      side,
+      usedAt: null,
+      expiresAt: { $gt: pricedAt },
+    },
+    { usedAt: Date.now() },
+    { new: true }
+  );
+  if (!quote) {
+    return { status: 400, error: "Quote is invalid, used or expired" };
+  }
+  if (quote.usdtAmount !== Number(usdtAmount)) {
+    await releaseQuote(quote._id);
+    return { status: 400, error: "usdtAmount does not match the quote" };
+  }
+  const { rate, feePercent, fee, nairaAmount, rateId } = quote;
+  return {
+    price: { rate, feePercent, fee, nairaAmount, rateId, quoteId: quote._id },
+  };
+};
+
+module.exports = {
+  getRateSettings,
+  getCurrentRates,
+  setManualRates,
+  createQuote,
+  findLockableQuote,
+  lockQuote,
+  unlockQuote,
+  resolvePrice,
+  releaseQuote,
+};
@@ -0,0 +1,283 @@
+const { ethers } = require("ethers");
+const ChainEvent = require("../models/ChainEvent");
+const IndexerCursor = require("../models/IndexerCursor");
+const Withdrawal = require("../models/Withdrawal");
+const RelayJob = require("../models/RelayJob");
+const { getTokenDecimals } = require("./withdrawalVerification");
+const { recordAudit } = require("./audit");
+const { checkLimits } = require("./limits");
+const { publishEvent } = require("./events");
+const { notifyAdmins } = require("./notifications");
+const { getRateSettings, resolvePrice } = require("./rates");
+const { getDefaultChain } = require("./chains");
+
+// Bank details come off-chain as one string; recover the fields when the
+// frontend sent JSON, otherwise keep the raw text for an admin to read
+const parseBankDetails = (raw) => {
+  try {
+    const parsed = JSON.parse(raw);
+    if (
+      parsed &&
+      parsed.bankName &&
+      parsed.accountNumber &&
+      parsed.accountName
+    ) {
+      return {
+        bankName: String(parsed.bankName),
+        accountNumber: String(parsed.accountNumber),
+        accountName: String(parsed.accountName),
+      };
+    }
+  } catch {
+    // Not JSON
+  }
+  return {
+    bankName: raw || "unknown",
+    accountNumber: "unknown",
+    accountName: "unknown",
+  };
+};
+
+// A transfer relayed by /relay-withdrawal is priced by the quote it locked.
+// Returns the price, or null for a transfer sent some other way.
+const priceFromLockedQuote = async (entry, event) => {
+  const job = await RelayJob.findOne({
+    kind: "withdrawal",
+    hash: new RegExp(`^${event.transactionHash}$`, "i"),
+    quoteId: { $ne: null },
+  });
+  if (!job) return null;
+  const pricing = await resolvePrice({
+    userId: entry.user,
+    side: "sell",
+    usdtAmount: entry.usdtAmount,
+    quoteId: job.quoteId,
+    pricedAt: event.timestamp,
+  });
+  return pricing.price || null;
+};
+
+// Matches Withdrawal documents on one chain against indexed
+// WithdrawalInitiated events. With autoCreate, events that have no document
+// get one so the payout is not lost, once the user has had QUOTE_LOCK_MINUTES
+// to file it through /api/create-withdrawal.
+const reconcileChain = async (chain, { autoCreate }) => {
+  const report = {
+    chainId: chain.chainId,
+    missingRecords: [],
+    missingEvents: [],
+    amountMismatches: [],
+    created: [],
+  };
+
+  const cursor = await IndexerCursor.findOne({
+    chainId: chain.chainId,
+    address: chain.withdrawalContractAddress,
+  });
+  if (!cursor) {
+    report.skipped = "Withdrawal contract not indexed yet";
+    return report;
+  }
+
+  const decimals = await getTokenDecimals(chain);
+  const graceStart = Date.now() - getRateSettings().quoteLockMs;
+  const [events, withdrawals] = await Promise.all([
+    ChainEvent.find({
+      chainId: chain.chainId,
+      address: chain.withdrawalContractAddress,
+      name: "WithdrawalInitiated",
+    }),
+    Withdrawal.find({ chainId: chain.chainId }),
+  ]);
+
+  const withdrawalsByHash = new Map(
+    withdrawals.map((withdrawal) => [
+      withdrawal.txHash.toLowerCase(),
+      withdrawal,
+    ])
+  );
+  const eventHashes = new Set();
+
+  for (const event of events) {
+    eventHashes.add(event.transactionHash);
+    // Fall back to the hash alone for a record filed under another chainId,
+    // which a second insert would collide with
+    const withdrawal =
+      withdrawalsByHash.get(event.transactionHash) ||
+      (await Withdrawal.findOne({
+        txHash: new RegExp(`^${event.transactionHash}$`, "i"),
+      }));
+    const amount = BigInt(event.args.amount);
+
+    if (!withdrawal) {
+      const entry = {
+        txHash: event.transactionHash,
+        user: event.args.user.toLowerCase(),
+        usdtAmount: ethers.formatUnits(amount, decimals),
+        blockNumber: event.blockNumber,
+      };
+      report.missingRecords.push(entry);
+
+      // Leave events inside the confirmation window alone, they may reorg,
+      // and give the user the grace period to file the withdrawal themselves
+      if (
+        autoCreate &&
+        event.blockNumber <= cursor.lastBlock - chain.confirmations &&
+        (event.timestamp || event.createdAt).getTime() <= graceStart
+      ) {
+        const price = await priceFromLockedQuote(entry, event);
+        // The USDT is already in the contract, so limits flag, never refuse
+        const overLimit = await checkLimits({
+          userId: entry.user,
+          side: "sell",
+          usdtAmount: entry.usdtAmount,
+          nairaAmount: price?.nairaAmount,
+        });
+        const created = await Withdrawal.create({
+          userId: entry.user,
+          usdtAmount: Number(entry.usdtAmount),
+          ...price,
+          bankDetails: parseBankDetails(event.args.bankDetails),
+          txHash: event.transactionHash,
+          chainId: chain.chainId,
+          blockNumber: event.blockNumber,
+          flaggedReason: overLimit?.error,
+          status: "pending",
+          statusHistory: [
+            {
+              to: "pending",
+              by: "system",
+              reason: "Created from a WithdrawalInitiated event",
+            },
+          ],
+          source: "reconciliation",
+        });
+        await recordAudit(null, {
+          action: "withdrawal.reconcile-create",
+          targetType: "Withdrawal",
+          targetId: created._id,
+          after: created,
+        });
+        await notifyAdmins("withdrawal.created", { withdrawal: created });
+        await publishEvent("withdrawal.created", { withdrawal: created });
+        report.created.push({
+          txHash: entry.txHash,
+          transactionId: created._id,
+          flaggedReason: created.flaggedReason,
+        });
+      }
+      continue;
+    }
+
+    let recorded;
+    try {
+      recorded = ethers.parseUnits(String(withdrawal.usdtAmount), decimals);
+    } catch {
+      recorded = null;
+    }
+    if (recorded !== amount) {
+      report.amountMismatches.push({
+        transactionId: withdrawal._id,
+        txHash: event.transactionHash,
+        recordedAmount: withdrawal.usdtAmount,
+        onChainAmount: ethers.formatUnits(amount, decimals),
+      });
+    }
+  }
+
+  // Only blame the chain for blocks the indexer has actually read
+  for (const withdrawal of withdrawals) {
+    if (eventHashes.has(withdrawal.txHash.toLowerCase())) continue;
+    if (
+      !withdrawal.blockNumber ||
+      cursor.startBlock == null ||
+      withdrawal.blockNumber < cursor.startBlock ||
+      withdrawal.blockNumber > cursor.lastBlock
+    ) {
+      continue;
+    }
+    report.missingEvents.push({
+      transactionId: withdrawal._id,
+      txHash: withdrawal.txHash,
+      userId: withdrawal.userId,
+      usdtAmount: withdrawal.usdtAmount,
+      status: withdrawal.status,
+    });
+  }
+
+  return report;
+};
+
+const reconcileWithdrawals = async (chains, { autoCreate = false } = {}) => {
+  const reports = [];
+  for (const chain of chains) {
+    try {
+      reports.push(await reconcileChain(chain, { autoCreate }));
+    } catch (error) {
+      console.error(
+        `Reconciliation error (chain ${chain.chainId}):`,
+        error.message
+      );
+      reports.push({ chainId: chain.chainId, error: error.message });
+    }
+  }
+  return { generatedAt: new Date(), chains: reports };
+};
+
+// Withdrawals saved before chainId existed belong to the default chain
+const backfillChainIds = async () => {
+  const chain = getDefaultChain();
+  if (!chain) return;
+  const { modifiedCount } = await Withdrawal.updateMany(
+    { chainId: null },
+    { $set: { chainId: chain.chainId } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Reconciliation: set chainId on ${modifiedCount} withdrawals`);
+  }
+};
+
+const startReconciliation = ({ getChains }) => {
+  backfillChainIds().catch((error) =>
+    console.error("Withdrawal chainId backfill error:", error.message)
+  );
+  const interval = Number(process.env.RECONCILE_INTERVAL_MS) || 10 * 60 * 1000;
+  const autoCreate = process.env.RECONCILE_AUTO_CREATE !== "false";
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { chains } = await reconcileWithdrawals(getChains(), {
+        autoCreate,
+      });
+      for (const report of chains) {
+        if (report.error || report.skipped) continue;
+        const issues =
+          report.missingRecords.length +
+          report.missingEvents.length +
+          report.amountMismatches.length;
+        if (issues > 0) {
+          console.log(`Reconciliation (chain ${report.chainId}):`, {
+            missingRecords: report.missingRecords.length,
+            missingEvents: report.missingEvents.length,
+            amountMismatches: report.amountMismatches.length,
+            created: report.created.length,
+          });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  setInterval(run, interval);
+  console.log("Withdrawal reconciliation started");
+};
+
+module.exports = {
+  reconcileWithdrawals,
+  startReconciliation,
+  parseBankDetails,
+};
@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+
+const UINT_TYPE = /^uint(\d*)$/;
+
+const toBigInt = (value) => {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number" && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value === "string" && /^(0x[0-9a-fA-F]+|\d+)$/.test(value)) {
+    return BigInt(value);
+  }
+  return null;
+};
+
+// Returns a reason string when `value` does not satisfy `spec`, else null
+const checkValue = (spec, type, value, userAddress) => {
+  if (type.endsWith("[]")) {
+    if (!Array.isArray(value)) return "must be an array";
+    if (value.length === 0) return "must not be empty";
+    if (spec.maxLength && value.length > spec.maxLength) {
+      return `must have at most ${spec.maxLength} items`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const reason = checkValue(spec, type.slice(0, -2), value[i], userAddress);
+      if (reason) return `item ${i} ${reason}`;
+    }
+    return null;
+  }
+
+  const uint = type.match(UINT_TYPE);
+  if (uint) {
+    const bits = Number(uint[1] || 256);
+    const number = toBigInt(value);
+    if (number === null) return "must be an unsigned integer";
+    const min = spec.min ?? 0n;
+    const max = spec.max ?? (1n << BigInt(bits)) - 1n;
+    if (number < min) return `must be at least ${min}`;
+    if (number > max) return `must be at most ${max}`;
+    return null;
+  }
+
+  switch (type) {
+    case "address":
+      if (typeof value !== "string" || !ethers.isAddress(value)) {
+        return "must be a valid address";
+      }
+      if (
+        spec.matchesUser &&
+        value.toLowerCase() !== String(userAddress).toLowerCase()
+      ) {
+        return "must equal userAddress";
+      }
+      return null;
+    case "bool":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "bytes32":
+      return typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value)
+        ? null
+        : "must be a 32-byte hex string";
+    case "string":
+      if (typeof value !== "string" || value.length === 0) {
+        return "must be a non-empty string";
+      }
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return `must be at most ${spec.maxLength} characters`;
+      }
+      return null;
+    default:
+      return `has unsupported type ${type}`;
+  }
+};
+
+// Validates relay args against a function definition from
+// config/relayFunctions.js. Returns null or { field, reason }.
+const validateRelayArgs = (definition, args, userAddress) => {
+  if (!Array.isArray(args)) {
+    return { field: "args", reason: "must be an array" };
+  }
+  if (args.length !== definition.args.length) {
+    return {
+      field: "args",
+      reason: `expected ${definition.args.length} arguments, got ${args.length}`,
+    };
+  }
+  for (let i = 0; i < definition.args.length; i++) {
+    const spec = definition.args[i];
+    const reason = checkValue(spec, spec.type, args[i], userAddress);
+    if (reason) {
+      return { field: `args.${spec.name}`, reason };
+    }
+  }
+  return null;
+};
+
+module.exports = { validateRelayArgs };
@@ -0,0 +1,229 @@
+const RelayJob = require("../models/RelayJob");
+const { RELAY_FUNCTIONS } = require("../config/relayFunctions");
+const { estimateGasLimit, getGasPrice } = require("./gas");
+const { decodeRevert } = require("./simulate");
+const { publishEvent } = require("./events");
+const { unlockQuote } = require("./rates");
+
+const POLL_INTERVAL_MS = Number(process.env.RELAY_POLL_INTERVAL_MS) || 5000;
+// A submitted job with no receipt after this long is considered dropped
+const DROP_AFTER_MS = Number(process.env.RELAY_DROP_AFTER_MS) || 30 * 60 * 1000;
+
+let deps = null;
+let running = false;
+
+// Saves the job and publishes "relay.<status>" when its status changed. A
+// withdrawal that failed or was dropped gives its quote back to the user.
+const saveJob = async (job) => {
+  const changed = job.isModified("status");
+  await job.save();
+  if (!changed) return;
+  if (job.quoteId && ["failed", "dropped"].includes(job.status)) {
+    await unlockQuote(job.quoteId);
+  }
+  await publishEvent(`relay.${job.status}`, { job });
+};
+
+// Turns relayer client errors into something worth storing on the job
+const describeRelayError = (error) => {
+  if (
+    error.message.includes("authentication") ||
+    error.message.includes("API key and secret are required")
+  ) {
+    return "Authentication failed: Invalid or missing API credentials";
+  }
+  if (error.message.includes("Insufficient funds")) {
+    return "Relayer has insufficient funds. Please fund the relayer.";
+  }
+  if (error.message.includes("status code 400")) {
+    const details = error.response?.data;
+    return `Invalid transaction parameters: ${
+      details ? JSON.stringify(details) : error.message
+    }`;
+  }
+  return error.message;
+};
+
+// Replays a reverted transaction at its block to recover the revert reason
+const getRevertReason = async (job, receipt, chain) => {
+  try {
+    await chain.provider.call({
+      to: job.tx.to,
+      data: job.tx.data,
+      from: receipt.from,
+      blockTag: receipt.blockNumber,
+    });
+    return "Transaction reverted";
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION" && error.data) {
+      const decoded = decodeRevert(error.data);
+      return `${decoded.name}(${decoded.args.join(", ")})`;
+    }
+    return error.reason || error.shortMessage || error.message;
+  }
+};
+
+const submitJob = async (job) => {
+  const chain = deps.getChain(job.chainId);
+  if (!chain) {
+    job.status = "failed";
+    job.error = `Chain ${job.chainId} is not configured`;
+    await saveJob(job);
+    return;
+  }
+
+  try {
+    // Price and size the transaction at send time, not when it was queued
+    const [gasLimit, gasPrice] = await Promise.all([
+      estimateGasLimit({
+        provider: chain.provider,
+        from: await chain.getRelayerAddress(),
+        tx: job.tx,
+        maxGas: RELAY_FUNCTIONS[job.functionName]?.maxGas,
+      }),
+      getGasPrice({ provider: chain.provider, speed: job.tx.speed }),
+    ]);
+    job.tx.gasLimit = gasLimit.toString();
+    job.tx.gasPrice = gasPrice.toString();
+
+    // speed only picks the multiplier above. Every backend gets the clamped
+    // gasPrice; Defender takes it in place of speed and refuses both.
+    const { to, data, value } = job.tx;
+    const tx = {
+      to,
+      data,
+      value,
+      gasLimit: job.tx.gasLimit,
+      gasPrice: job.tx.gasPrice,
+      chainId: job.chainId,
+    };
+    console.log(`Relay job ${job._id}: sending via relayer`, tx);
+    const response = await chain.relaySigner.sendTransaction(tx);
+    console.log(`Relay job ${job._id}: relayer response`, response);
+
+    job.status = "submitted";
+    job.relayerTxId = response.transactionId;
+    job.hash = response.hash;
+    job.submittedAt = Date.now();
+  } catch (error) {
+    console.error(`Relay job ${job._id}: submission error`, {
+      message: error.message,
+      response: error.response
+        ? { status: error.response.status, data: error.response.data }
+        : null,
+    });
+    job.status = "failed";
+    job.error = describeRelayError(error);
+  }
+  await saveJob(job);
+};
+
+const trackJob = async (job) => {
+  const chain = deps.getChain(job.chainId);
+  if (!chain) {
+    console.error(`Relay job ${job._id}: chain ${job.chainId} not configured`);
+    return;
+  }
+
+  // Defender re-prices stuck transactions under a new hash, so refresh it
+  if (job.relayerTxId && chain.relaySigner.getTransaction) {
+    try {
+      const relayed = await chain.relaySigner.getTransaction(job.relayerTxId);
+      if (relayed.hash) {
+        job.hash = relayed.hash;
+      }
+      if (relayed.status === "failed") {
+        job.status = "failed";
+        job.error = "Relayer reported the transaction as failed";
+        await saveJob(job);
+        return;
+      }
+    } catch (error) {
+      console.error(
+        `Relay job ${job._id}: relayer lookup error`,
+        error.message
+      );
+    }
+  }
+
+  const receipt = job.hash
+    ? await chain.provider.getTransactionReceipt(job.hash)
+    : null;
+
+  if (!receipt) {
+    if (Date.now() - job.submittedAt.getTime() > DROP_AFTER_MS) {
+      job.status = "dropped";
+      job.error = "No receipt before the drop timeout";
+      await saveJob(job);
+    } else if (job.isModified()) {
+      await saveJob(job);
+    }
+    return;
+  }
+
+  job.blockNumber = receipt.blockNumber;
+  job.gasUsed = receipt.gasUsed.toString();
+  if (receipt.status === 1) {
+    job.status = "mined";
+  } else {
+    job.status = "failed";
+    job.revertReason = await getRevertReason(job, receipt, chain);
+  }
+  console.log(`Relay job ${job._id}: ${job.status}`, {
+    hash: job.hash,
+    gasUsed: job.gasUsed,
+    revertReason: job.revertReason,
+  });
+  await saveJob(job);
+};
+
+const processRelayJobs = async () => {
+  if (!deps || running) return;
+  running = true;
+  try {
+    let job;
+    while (
+      (job = await RelayJob.findOneAndUpdate(
+        { status: "queued", lockedAt: null },
+        { lockedAt: Date.now() },
+        { sort: { createdAt: 1 }, new: true }
+      ))
+    ) {
+      await submitJob(job);
+    }
+
+    const submitted = await RelayJob.find({ status: "submitted" });
+    for (const job of submitted) {
+      await trackJob(job);
+    }
+  } catch (error) {
+    console.error("Relay worker error:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startRelayWorker = async ({ getChain }) => {
+  deps = { getChain };
+
+  // A job claimed before a restart may or may not have reached the relayer.
+  // Re-sending could double-spend gas, so mark it dropped for the client.
+  const interrupted = await RelayJob.find({
+    status: "queued",
+    lockedAt: { $ne: null },
+  });
+  for (const job of interrupted) {
+    job.status = "dropped";
+    job.error = "Server restarted while submitting";
+    await saveJob(job);
+  }
+  if (interrupted.length > 0) {
+    console.log(`Relay worker: dropped ${interrupted.length} interrupted jobs`);
+  }
+
+  setInterval(processRelayJobs, POLL_INTERVAL_MS);
+  processRelayJobs();
+  console.log("Relay worker started");
+};
+
+module.exports = { startRelayWorker, processRelayJobs };
@@ -0,0 +1,74 @@
+const { ethers } = require("ethers");
+const { Relayer } = require("@openzeppelin/defender-sdk-relay-signer-client");
+
+// Relayer backends share the subset of the Defender client the server uses:
+//   getRelayer()           -> { address }
+//   sendTransaction(tx)    -> { transactionId, hash }
+//   getTransaction(id)     -> { hash, status }
+// RELAYER_BACKEND sets the default; a chain's relayer.type overrides it.
+const BACKENDS = ["defender", "local"];
+
+const getBackend = (config) =>
+  config.type || process.env.RELAYER_BACKEND || "defender";
+
+const createDefenderRelayer = ({ apiKey, apiSecret }) =>
+  new Relayer({ apiKey, apiSecret });
+
+// Signs with a private key and sends to the chain's RPC node. Meant for
+// Anvil/Hardhat and CI; the transaction hash doubles as the transaction id.
+const createLocalRelayer = ({ privateKey }, provider) => {
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  return {
+    getRelayer: async () => ({ address: wallet.address }),
+
+    sendTransaction: async (tx) => {
+      const response = await wallet.sendTransaction({
+        to: tx.to,
+        data: tx.data,
+        value: tx.value || 0,
+        gasLimit: tx.gasLimit,
+        gasPrice: tx.gasPrice,
+        chainId: tx.chainId,
+      });
+      return {
+        transactionId: response.hash,
+        hash: response.hash,
+        status: "submitted",
+      };
+    },
+
+    getTransaction: async (transactionId) => {
+      const transaction = await provider.getTransaction(transactionId);
+      return {
+        transactionId,
+        hash: transactionId,
+        status: transaction?.blockNumber ? "mined" : "submitted",
+      };
+    },
+  };
+};
+
+// Returns the names of settings the backend needs but `config` lacks
+const missingRelayerConfig = (config = {}) => {
+  switch (getBackend(config)) {
+    case "defender":
+      return config.apiKey && config.apiSecret
+        ? []
+        : ["relayer.apiKey/apiSecret"];
+    case "local":
+      return config.privateKey ? [] : ["relayer.privateKey"];
+    default:
+      return [`relayer.type (one of ${BACKENDS.join(", ")})`];
+  }
+};
+
+const createRelayer = (config, provider) => {
+  const backend = getBackend(config);
+  if (backend === "local") {
+    return createLocalRelayer(config, provider);
+  }
+  return createDefenderRelayer(config);
+};
+
+module.exports = { createRelayer, missingRelayerConfig, getBackend };
@@ -0,0 +1,55 @@
+const { ethers } = require("ethers");
+const StakingContractABI = require("../StakingContractABI.json");
+const WithdrawalABI = require("../WithdrawalABI.json");
+
+// Custom errors from both contracts. Error(string) and Panic(uint256) are
+// decoded by ethers without being listed.
+const errorInterface = new ethers.Interface(
+  [...StakingContractABI, ...WithdrawalABI].filter(
+    (fragment) => fragment.type === "error"
+  )
+);
+
+const toJson = (value) => {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJson);
+  return value;
+};
+
+// Decodes revert data into { name, args }, keeping the raw data when the
+// selector is not one of ours
+const decodeRevert = (data) => {
+  if (!data || data === "0x") {
+    return { name: "UnknownRevert", args: [] };
+  }
+  try {
+    const parsed = errorInterface.parseError(data);
+    if (parsed) {
+      return { name: parsed.name, args: toJson(parsed.args.toArray()) };
+    }
+  } catch (error) {
+    console.error("Revert decode error:", error.message);
+  }
+  return { name: "UnknownError", args: [], data };
+};
+
+// eth_calls the transaction from the relayer. Returns null when it would
+// succeed, otherwise the decoded revert.
+const simulateTransaction = async ({ provider, from, tx }) => {
+  try {
+    await provider.call({
+      from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value || 0,
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION") {
+      throw error;
+    }
+    return decodeRevert(error.data);
+  }
+};
+
+module.exports = { decodeRevert, simulateTransaction };
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const AuthChallenge = require("../models/AuthChallenge");
+const Session = require("../models/Session");
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const STATEMENTS = {
+  admin: "Sign in to the stake-server admin panel.",
+  user: "Sign in to stake-server with your wallet.",
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const getSiweSettings = () => {
+  const uri = process.env.FRONTEND_URL || "http://localhost:5173";
+  return {
+    uri,
+    domain: new URL(uri).host,
+    chainId: Number(process.env.DEFAULT_CHAIN_ID) || 56,
+    sessionTtlMs: (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000,
+  };
+};
+
+// Builds an EIP-4361 message and stores it, so /verify only has to compare
+// the signed text against what was issued
+const createChallenge = async (address, role) => {
+  const { uri, domain, chainId } = getSiweSettings();
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+  const message = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    "",
+    STATEMENTS[role],
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join("\n");
+
+  await AuthChallenge.create({ nonce, address, role, message, expiresAt });
+  return { message, nonce, expiresAt };
+};
+
+// Consumes the challenge named in `message` and returns the signer's
+// lowercase address and the role it was issued for. Throws with a
+// client-safe message on any mismatch.
+const consumeChallenge = async (message, signature) => {
+  const nonce = /^Nonce: (\w+)$/m.exec(message || "")?.[1];
+  if (!nonce) {
+    throw new Error("Malformed sign-in message");
+  }
+
+  // Delete on read so a signed message works exactly once
+  const challenge = await AuthChallenge.findOneAndDelete({ nonce });
+  if (!challenge || challenge.message !== message) {
+    throw new Error("Unknown or already used challenge");
+  }
+  if (challenge.expiresAt.getTime() < Date.now()) {
+    throw new Error("Challenge expired");
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature).toLowerCase();
+  } catch {
+    throw new Error("Invalid signature");
+  }
+  if (signer !== challenge.address) {
+    throw new Error("Signature does not match challenge address");
+  }
+  return { address: signer, role: challenge.role };
+};
+
+const createSession = async (address, role) => {
+  const { sessionTtlMs } = getSiweSettings();
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + sessionTtlMs);
+  await Session.create({
+    tokenHash: hashToken(token),
+    address,
+    role,
+    expiresAt,
+  });
+  return { token, expiresAt };
+};
+
+// Returns the live session for a bearer token, or null
+const findSession = async (token) => {
+  if (!token) return null;
+  const session = await Session.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+  });
+  if (!session || session.expiresAt.getTime() < Date.now()) {
+    return null;
+  }
+  return session;
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  STATEMENTS,
+  createChallenge,
+  consumeChallenge,
+  createSession,
+  findSession,
+  getBearerToken,
+};
@@ -0,0 +1,71 @@
+const { TRANSITIONS } = require("../config/statusMachine");
+const { recordAudit } = require("./audit");
+const { statusEvent, publishEvent } = require("./events");
+
+const canTransition = (modelName, from, to) =>
+  (TRANSITIONS[modelName]?.[from] || []).includes(to);
+
+// Moves `doc` to `to` and records who/why in statusHistory; the caller saves.
+// Returns null, or { status, error } when the move is not allowed.
+const transitionStatus = (doc, to, { by, reason } = {}) => {
+  const modelName = doc.constructor.modelName;
+  const from = doc.status;
+  if (!canTransition(modelName, from, to)) {
+    return {
+      status: 400,
+      error: `${modelName} cannot move from ${from} to ${to}`,
+    };
+  }
+
+  doc.status = to;
+  doc.statusHistory.push({ from, to, by, reason });
+  doc.updatedAt = Date.now();
+  return null;
+};
+
+// The shared path for status changes: transitions and saves `doc`, records
+// `action` in the audit log and publishes the status event, so every caller
+// emits the same events. `actor` is as for recordAudit. Returns null, or
+// { status, error } when the move is not allowed or another request changed
+// the status first.
+const changeStatus = async (actor, doc, to, { action, by, reason }) => {
+  const Model = doc.constructor;
+  const before = doc.toObject();
+  const rejected = transitionStatus(doc, to, { by, reason });
+  if (rejected) return rejected;
+
+  // Only writes if the status is still the one the move was checked against
+  const entry = doc.statusHistory[doc.statusHistory.length - 1];
+  const saved = await Model.findOneAndUpdate(
+    { _id: doc._id, status: before.status },
+    {
+      $set: { status: doc.status, updatedAt: doc.updatedAt },
+      $push: { statusHistory: entry.toObject() },
+    },
+    { new: true }
+  );
+  if (!saved) {
+    return {
+      status: 409,
+      error: `${Model.modelName} was changed by another request, reload it and try again`,
+    };
+  }
+  for (const path of ["status", "statusHistory", "updatedAt"]) {
+    doc.unmarkModified(path);
+  }
+
+  await recordAudit(actor, {
+    action,
+    targetType: Model.modelName,
+    targetId: doc._id,
+    before,
+    after: doc,
+  });
+  // Keyed like the other events: { transaction } or { withdrawal }
+  await publishEvent(statusEvent(doc), {
+    [Model.modelName.toLowerCase()]: doc,
+  });
+  return null;
+};
+
+module.exports = { canTransition, transitionStatus, changeStatus };
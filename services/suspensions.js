@@ -0,0 +1,65 @@
+const Suspension = require("../models/suspension");
+const { recordAudit } = require("./audit");
+const { publishEvent } = require("./events");
+
+// Matches suspensions in force now. An expired one stays active until
+// expireSuspensions closes it, so the expiry time is checked as well.
+const suspensionInForce = () => ({
+  active: true,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// The suspension blocking `address` from any of `scopes` ("relay",
+// "withdrawals", "buys"), or null. A full suspension blocks everything.
+const findSuspension = (address, scopes) =>
+  Suspension.findOne({
+    address: address.toLowerCase(),
+    scope: { $in: ["full", ...scopes] },
+    ...suspensionInForce(),
+  }).sort({ suspendedAt: -1 });
+
+// Closes suspensions past their expiresAt, keeping them as history. `filter`
+// narrows it, e.g. to one address.
+const expireSuspensions = async (filter = {}) => {
+  const due = await Suspension.find({
+    ...filter,
+    active: true,
+    expiresAt: { $ne: null, $lte: new Date() },
+  });
+  for (const suspension of due) {
+    const before = suspension.toObject();
+    suspension.active = false;
+    suspension.liftedAt = suspension.expiresAt;
+    suspension.liftedBy = "system";
+    suspension.liftReason = "Expired";
+    await suspension.save();
+    await recordAudit(null, {
+      action: "suspension.expire",
+      targetType: "Suspension",
+      targetId: suspension.address,
+      before,
+      after: suspension,
+    });
+    await publishEvent("user.unsuspended", { suspension });
+  }
+  return due.length;
+};
+
+// Suspensions saved before scopes and history were added have no `active`
+// field; each was a full, permanent suspension in force until deleted
+const migrateLegacySuspensions = async () => {
+  const { modifiedCount } = await Suspension.updateMany(
+    { active: { $exists: false } },
+    { $set: { active: true, scope: "full", expiresAt: null } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Migrated ${modifiedCount} legacy suspensions`);
+  }
+};
+
+module.exports = {
+  suspensionInForce,
+  findSuspension,
+  expireSuspensions,
+  migrateLegacySuspensions,
+};
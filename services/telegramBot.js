@@ -0,0 +1,393 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const Admin = require("../models/Admin");
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const Withdrawal = require("../models/Withdrawal");
+const Suspension = require("../models/suspension");
+const Complaint = require("../models/Complaint");
+const RelayJob = require("../models/RelayJob");
+const { hasPermission } = require("../config/permissions");
+const { canTransition } = require("./statusMachine");
+const {
+  verifyTransaction,
+  verifyWithdrawal,
+  suspendAccount,
+  unsuspendAccount,
+} = require("./adminActions");
+const { verifyButtons } = require("../config/notificationTemplates");
+const { suspensionInForce } = require("./suspensions");
+const { recordAudit } = require("./audit");
+
+const LINK_CODE_TTL_MS = 15 * 60 * 1000;
+
+let deps = null;
+
+// "polling" or "webhook"; anything else leaves the bot send-only. Only one
+// process may receive updates for a bot token. TELEGRAM_POLLING=true is the
+// older spelling of TELEGRAM_UPDATES=polling.
+const getUpdateMode = () =>
+  process.env.TELEGRAM_UPDATES ||
+  (process.env.TELEGRAM_POLLING === "true" ? "polling" : "off");
+
+// TELEGRAM_ADMINS whitelists Telegram user ids and maps each to the admin
+// wallet whose role it acts with, e.g. "123456789:0xabc...,987654321:0xdef..."
+const getTelegramAdmins = () =>
+  new Map(
+    (process.env.TELEGRAM_ADMINS || "")
+      .split(",")
+      .map((entry) => entry.trim().split(":"))
+      .filter(([id, address]) => id && address)
+      .map(([id, address]) => [id, address.toLowerCase()])
+  );
+
+// The active Admin behind a Telegram user, or null when the user is not
+// whitelisted or the admin lacks `permission`
+const getTelegramAdmin = async (telegramUserId, permission) => {
+  const address = getTelegramAdmins().get(String(telegramUserId));
+  if (!address) return null;
+  const admin = await Admin.findOne({ address, active: true });
+  if (!admin || !hasPermission(admin.role, permission)) return null;
+  return admin;
+};
+
+// One-time code the user sends to the bot as "/start <code>" to receive
+// their own notifications
+const createTelegramLinkCode = async (address) => {
+  const code = crypto.randomBytes(16).toString("hex");
+  const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MS);
+  await User.updateOne(
+    { address },
+    { telegramLinkCode: code, telegramLinkExpiresAt: expiresAt },
+    { upsert: true }
+  );
+  const username = process.env.TELEGRAM_BOT_USERNAME;
+  return {
+    code,
+    link: username ? `https://t.me/${username}?start=${code}` : null,
+    expiresAt,
+  };
+};
+
+const handleStart = async (bot, msg, [code]) => {
+  if (msg.chat.type !== "private" || !code) return;
+  const user = await User.findOne({
+    telegramLinkCode: code,
+    telegramLinkExpiresAt: { $gt: new Date() },
+  });
+  if (!user) {
+    await bot.sendMessage(msg.chat.id, "This link has expired or is invalid.");
+    return;
+  }
+  const before = { telegramChatId: user.telegramChatId ?? null };
+  user.telegramChatId = String(msg.chat.id);
+  user.telegramLinkCode = undefined;
+  user.telegramLinkExpiresAt = undefined;
+  await user.save();
+  await recordAudit(
+    { userAddress: user.address },
+    {
+      action: "user.telegram-link",
+      targetType: "User",
+      targetId: user.address,
+      before,
+      after: { telegramChatId: user.telegramChatId },
+    }
+  );
+  console.log("Telegram linked:", user.address);
+  await bot.sendMessage(
+    msg.chat.id,
+    `Linked to wallet ${user.address}. You will get updates on your orders here.`
+  );
+};
+
+const formatOrder = (doc) =>
+  `${doc._id} | ${doc.usdtAmount} USDT | NGN ${doc.nairaAmount ?? "?"} | ${doc.userId} | ${doc.status}`;
+
+const describeWithdrawal = (withdrawal) => `Withdrawal ${withdrawal._id}
+User: ${withdrawal.userId}
+USDT Amount: ${withdrawal.usdtAmount}
+Naira Amount: ${withdrawal.nairaAmount ?? "not priced"}
+Bank: ${withdrawal.bankDetails.bankName}
+Account Number: ${withdrawal.bankDetails.accountNumber}
+Account Name: ${withdrawal.bankDetails.accountName}
+Tx Hash: ${withdrawal.txHash}
+Chain: ${withdrawal.chainId}
+Status: ${withdrawal.status}
+Created: ${withdrawal.createdAt.toISOString()}`;
+
+const countByStatus = async (Model) => {
+  const groups = await Model.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  return (
+    groups.map((group) => `  ${group._id}: ${group.count}`).join("\n") ||
+    "  none"
+  );
+};
+
+// Admin commands: the permission each needs, and run(bot, msg, args, admin)
+// returning the reply text or [text, options]
+const COMMANDS = {
+  pending: {
+    permission: "withdrawals:read",
+    run: async () => {
+      const [withdrawals, transactions] = await Promise.all([
+        Withdrawal.find({ status: { $in: ["pending", "processing"] } })
+          .sort({ createdAt: 1 })
+          .limit(10),
+        Transaction.find({
+          status: { $in: ["awaiting verification", "processing"] },
+        })
+          .sort({ createdAt: 1 })
+          .limit(10),
+      ]);
+      return `Withdrawals to pay (oldest first):
+${withdrawals.map(formatOrder).join("\n") || "none"}
+
+Buy orders to verify (oldest first):
+${transactions.map(formatOrder).join("\n") || "none"}`;
+    },
+  },
+
+  withdrawal: {
+    permission: "withdrawals:read",
+    run: async (bot, msg, [id]) => {
+      if (!id || !/^[a-f0-9]{24}$/i.test(id)) {
+        return "Usage: /withdrawal <id>";
+      }
+      const withdrawal = await Withdrawal.findById(id);
+      if (!withdrawal) return "Withdrawal not found";
+      return [
+        describeWithdrawal(withdrawal),
+        canTransition("Withdrawal", withdrawal.status, "verified")
+          ? { reply_markup: verifyButtons("wd", withdrawal._id) }
+          : {},
+      ];
+    },
+  },
+
+  suspend: {
+    permission: "suspensions:write",
+    run: async (bot, msg, [address, ...reason], admin) => {
+      const result = await suspendAccount(
+        { adminAddress: admin.address },
+        { address, reason: reason.join(" ") }
+      );
+      return result.error || `Account ${address} suspended`;
+    },
+  },
+
+  unsuspend: {
+    permission: "suspensions:write",
+    run: async (bot, msg, [address], admin) => {
+      const result = await unsuspendAccount(
+        { adminAddress: admin.address },
+        { address }
+      );
+      return result.error || `Account ${address} unsuspended`;
+    },
+  },
+
+  stats: {
+    permission: "reports:read",
+    run: async () => {
+      const [withdrawals, transactions, suspended, openComplaints] =
+        await Promise.all([
+          countByStatus(Withdrawal),
+          countByStatus(Transaction),
+          Suspension.countDocuments(suspensionInForce()),
+          Complaint.countDocuments({ status: { $ne: "resolved" } }),
+        ]);
+      return `Withdrawals:
+${withdrawals}
+Buy orders:
+${transactions}
+Suspended accounts: ${suspended}
+Open complaints: ${openComplaints}`;
+    },
+  },
+
+  relayer: {
+    permission: "reports:read",
+    run: async () => {
+      const lines = [];
+      for (const chain of deps.getChains()) {
+        try {
+          const address = await chain.getRelayerAddress();
+          const [balance, queued, submitted] = await Promise.all([
+            chain.provider.getBalance(address),
+            RelayJob.countDocuments({
+              chainId: chain.chainId,
+              status: "queued",
+            }),
+            RelayJob.countDocuments({
+              chainId: chain.chainId,
+              status: "submitted",
+            }),
+          ]);
+          lines.push(
+            `${chain.name} (${chain.chainId})
+  Relayer: ${address}
+  Balance: ${ethers.formatEther(balance)}
+  Jobs queued: ${queued}, submitted: ${submitted}`
+          );
+        } catch (error) {
+          lines.push(`${chain.name} (${chain.chainId}): ${error.message}`);
+        }
+      }
+      return lines.join("\n\n") || "No chains configured";
+    },
+  },
+};
+
+const handleMessage = async (bot, msg) => {
+  if (!msg.text?.startsWith("/")) return;
+  const [command, ...args] = msg.text.trim().split(/\s+/);
+  // Group chats send "/command@BotName"
+  const name = command.slice(1).split("@")[0];
+
+  if (name === "start") {
+    await handleStart(bot, msg, args);
+    return;
+  }
+  const handler = COMMANDS[name];
+  if (!handler) return;
+
+  const admin = await getTelegramAdmin(msg.from.id, handler.permission);
+  if (!admin) {
+    console.log("Telegram: unauthorized command", {
+      telegramUserId: msg.from.id,
+      command: name,
+    });
+    await bot.sendMessage(msg.chat.id, "Not authorized");
+    return;
+  }
+
+  const reply = await handler.run(bot, msg, args, admin);
+  const [text, options] = Array.isArray(reply) ? reply : [reply, {}];
+  await bot.sendMessage(msg.chat.id, text, options);
+};
+
+// Inline button actions, keyed by the first part of callback_data
+// ("<action>:<status>:<id>")
+const CALLBACK_ACTIONS = {
+  tx: {
+    permission: "transactions:verify",
+    run: (admin, status, id) =>
+      verifyTransaction(
+        { adminAddress: admin.address },
+        { transactionId: id, status, reason: "Via Telegram" }
+      ),
+  },
+  wd: {
+    permission: "withdrawals:verify",
+    run: (admin, status, id) =>
+      verifyWithdrawal(
+        { adminAddress: admin.address },
+        { transactionId: id, status, reason: "Via Telegram" }
+      ),
+  },
+};
+
+const handleCallback = async (bot, query) => {
+  const [name, status, id] = (query.data || "").split(":");
+  const action = CALLBACK_ACTIONS[name];
+  if (!action) {
+    await bot.answerCallbackQuery(query.id, { text: "Unknown action" });
+    return;
+  }
+
+  const admin = await getTelegramAdmin(query.from.id, action.permission);
+  if (!admin) {
+    console.log("Telegram: unauthorized action", {
+      telegramUserId: query.from.id,
+      data: query.data,
+    });
+    await bot.answerCallbackQuery(query.id, {
+      text: "Not authorized",
+      show_alert: true,
+    });
+    return;
+  }
+
+  const result = await action.run(admin, status, id);
+  if (result.error) {
+    await bot.answerCallbackQuery(query.id, {
+      text: result.error,
+      show_alert: true,
+    });
+    return;
+  }
+  await bot.answerCallbackQuery(query.id, { text: `Marked ${status}` });
+  // Drop the buttons so the order is not acted on twice
+  await bot.editMessageReplyMarkup(
+    { inline_keyboard: [] },
+    { chat_id: query.message.chat.id, message_id: query.message.message_id }
+  );
+};
+
+// Express handler for POST /telegram/webhook. Telegram echoes
+// TELEGRAM_WEBHOOK_SECRET in a header, which is how forged updates are told
+// apart.
+const handleTelegramWebhook = (bot) => (req, res) => {
+  if (getUpdateMode() !== "webhook") {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret || req.headers["x-telegram-bot-api-secret-token"] !== secret) {
+    return res.status(401).json({ error: "Invalid webhook secret" });
+  }
+  bot.processUpdate(req.body);
+  res.sendStatus(200);
+};
+
+const startTelegramBot = async ({ bot, getChains }) => {
+  const mode = getUpdateMode();
+  if (mode !== "polling" && mode !== "webhook") {
+    console.log("Telegram bot updates disabled");
+    return;
+  }
+  deps = { getChains };
+
+  bot.on("message", (msg) =>
+    handleMessage(bot, msg).catch((error) =>
+      console.error("Telegram command error:", error.message)
+    )
+  );
+  bot.on("callback_query", (query) =>
+    handleCallback(bot, query).catch((error) =>
+      console.error("Telegram callback error:", error.message)
+    )
+  );
+
+  if (mode === "webhook") {
+    if (
+      !process.env.TELEGRAM_WEBHOOK_URL ||
+      !process.env.TELEGRAM_WEBHOOK_SECRET
+    ) {
+      console.error(
+        "Telegram webhook needs TELEGRAM_WEBHOOK_URL and TELEGRAM_WEBHOOK_SECRET"
+      );
+      return;
+    }
+    await bot.setWebHook(process.env.TELEGRAM_WEBHOOK_URL, {
+      secret_token: process.env.TELEGRAM_WEBHOOK_SECRET,
+    });
+    console.log("Telegram bot webhook set");
+    return;
+  }
+
+  bot.on("polling_error", (error) =>
+    console.error("Telegram polling error:", error.message)
+  );
+  await bot.deleteWebHook();
+  bot.startPolling();
+  console.log("Telegram bot polling started");
+};
+
+module.exports = {
+  startTelegramBot,
+  handleTelegramWebhook,
+  createTelegramLinkCode,
+};
@@ -0,0 +1,327 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { EVENTS } = require("./events");
+const { signPayload } = require("./notificationChannels");
+const { retryDelay } = require("./notificationDispatcher");
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+const getWebhookSettings = () => ({
+  interval: Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+  retryBase: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+  retryMax: Number(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+  // Well past DELIVERY_TIMEOUT_MS; older claims belong to a process that died
+  lockTimeout: Number(process.env.WEBHOOK_LOCK_TIMEOUT_MS) || 5 * 60 * 1000,
+});
+
+let running = false;
+
+const createWebhookSecret = () => crypto.randomBytes(32).toString("hex");
+
+// Loopback, private, link-local and other non-public ranges; a webhook must
+// not reach the server's own network
+const blockedRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  blockedRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedRanges.addSubnet(network, prefix, "ipv6");
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges
+const isBlockedAddress = (address) =>
+  blockedRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Returns an error message, or null when every address the url's host
+// resolves to is public
+const checkHost = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.lookup(hostname, { all: true });
+  } catch {
+    return `url host ${hostname} does not resolve`;
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return "url must not point to a private or loopback address";
+  }
+  return null;
+};
+
+// Resolves to an error message, or null when the endpoint settings are usable
+const validateEndpoint = async ({ url, events, description }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "Invalid url";
+  }
+  if (parsed.protocol !== "https:") {
+    return "url must be https";
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return "events must be a non-empty array";
+  }
+  const unknown = events.filter((event) => !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(", ")}. Expected some of ${EVENTS.join(", ")}`;
+  }
+  if (
+    description !== undefined &&
+    (typeof description !== "string" || description.length > 200)
+  ) {
+    return "Invalid description";
+  }
+  return checkHost(url);
+};
+
+const id = (doc) => doc._id.toString();
+
+// The documented `data` for each event family: ids, status, amounts and the
+// owning user. Bank details, status history and other internals never leave
+// the server.
+const PAYLOADS = {
+  // transaction.*: { transaction: { id, userId, status, usdtAmount,
+  // nairaAmount, rate, fee, createdAt, updatedAt } }
+  transaction: ({ transaction }) => ({
+    transaction: {
+      id: id(transaction),
+      userId: transaction.userId,
+      status: transaction.status,
+      usdtAmount: transaction.usdtAmount,
+      nairaAmount: transaction.nairaAmount,
+      rate: transaction.rate,
+      fee: transaction.fee,
+      createdAt: transaction.createdAt,
+      updatedAt: transaction.updatedAt,
+    },
+  }),
+  // withdrawal.*: { withdrawal: { id, userId, status, usdtAmount,
+  // nairaAmount, rate, fee, chainId, txHash, createdAt, updatedAt } }
+  withdrawal: ({ withdrawal }) => ({
+    withdrawal: {
+      id: id(withdrawal),
+      userId: withdrawal.userId,
+      status: withdrawal.status,
+      usdtAmount: withdrawal.usdtAmount,
+      nairaAmount: withdrawal.nairaAmount,
+      rate: withdrawal.rate,
+      fee: withdrawal.fee,
+      chainId: withdrawal.chainId,
+      txHash: withdrawal.txHash,
+      createdAt: withdrawal.createdAt,
+      updatedAt: withdrawal.updatedAt,
+    },
+  }),
+  // relay.*: { job: { id, userId, kind, status, chainId, hash, error } }
+  relay: ({ job }) => ({
+    job: {
+      id: id(job),
+      userId: job.userAddress,
+      kind: job.kind,
+      status: job.status,
+      chainId: job.chainId,
+      hash: job.hash,
+      error: job.error,
+    },
+  }),
+  // user.suspended / user.unsuspended: { suspension: { id, userId, scope,
+  // active, suspendedAt, expiresAt } }
+  user: ({ suspension }) => ({
+    suspension: {
+      id: id(suspension),
+      userId: suspension.address,
+      scope: suspension.scope,
+      active: suspension.active,
+      suspendedAt: suspension.suspendedAt,
+      expiresAt: suspension.expiresAt,
+    },
+  }),
+};
+
+// Event subscriber: logs a pending delivery for every active endpoint that
+// wants the event. Replays reuse the payload id so receivers can dedupe.
+const queueWebhookDeliveries = async (event, data) => {
+  const endpoints = await WebhookEndpoint.find({ active: true, events: event });
+  if (endpoints.length === 0) return;
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(PAYLOADS[event.split(".")[0]](data))),
+  };
+  await WebhookDelivery.insertMany(
+    endpoints.map((endpoint) => ({
+      endpointId: endpoint._id,
+      url: endpoint.url,
+      event,
+      payload,
+    }))
+  );
+};
+
+// POSTs the payload with X-Signature = HMAC-SHA256 of
+// "<X-Signature-Timestamp>.<body>" under the endpoint's secret
+const sendDelivery = async (delivery, endpoint) => {
+  // Endpoints saved before https was required, or whose host has since been
+  // re-pointed, are not sent to
+  if (new URL(endpoint.url).protocol !== "https:") {
+    throw new Error("url must be https");
+  }
+  const blocked = await checkHost(endpoint.url);
+  if (blocked) throw new Error(blocked);
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(endpoint.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Webhook-Id": delivery.payload.id,
+      "X-Webhook-Event": delivery.event,
+      "X-Signature-Timestamp": String(timestamp),
+      "X-Signature": `sha256=${signPayload(endpoint.secret, timestamp, body)}`,
+    },
+    body,
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  delivery.responseStatus = response.status;
+  if (!response.ok) {
+    throw new Error(`Endpoint returned ${response.status}`);
+  }
+};
+
+const deliver = async (delivery, settings) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select(
+    "+secret"
+  );
+  // Retrying cannot help once the endpoint is gone
+  if (!endpoint || !endpoint.active) {
+    delivery.status = "failed";
+    delivery.lastError = "Endpoint removed or disabled";
+    delivery.lockedAt = null;
+    await delivery.save();
+    return;
+  }
+
+  delivery.attempts += 1;
+  try {
+    await sendDelivery(delivery, endpoint);
+    delivery.status = "delivered";
+    delivery.deliveredAt = Date.now();
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= settings.maxAttempts) {
+      delivery.status = "failed";
+      console.error(
+        `Webhook delivery ${delivery._id} to ${delivery.url} failed after ${delivery.attempts} attempts:`,
+        error.message
+      );
+    } else {
+      delivery.status = "pending";
+      delivery.nextAttemptAt =
+        Date.now() + retryDelay(delivery.attempts, settings);
+    }
+  }
+  delivery.lockedAt = null;
+  await delivery.save();
+};
+
+// Same as notifications: a duplicate beats a lost event. Fresh claims are
+// left to the process holding them.
+const reclaimStale = async ({ lockTimeout }) => {
+  const stale = await WebhookDelivery.updateMany(
+    {
+      status: "sending",
+      lockedAt: { $lte: new Date(Date.now() - lockTimeout) },
+    },
+    { status: "pending", lockedAt: null, updatedAt: Date.now() }
+  );
+  if (stale.modifiedCount > 0) {
+    console.log(
+      `Webhook dispatcher: requeued ${stale.modifiedCount} stale deliveries`
+    );
+  }
+};
+
+const processWebhookDeliveries = async () => {
+  if (running) return;
+  running = true;
+  const settings = getWebhookSettings();
+  try {
+    await reclaimStale(settings);
+    let delivery;
+    while (
+      (delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { status: "sending", lockedAt: Date.now() },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ))
+    ) {
+      await deliver(delivery, settings);
+    }
+  } catch (error) {
+    console.error("Webhook dispatcher error:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+// Queues the payload of a finished delivery again. Returns { status, error }
+// when it cannot be replayed.
+const replayDelivery = async (deliveryId, adminAddress) => {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) {
+    return { status: 404, error: "Delivery not found" };
+  }
+  if (original.status === "pending" || original.status === "sending") {
+    return { status: 400, error: "Delivery is still being attempted" };
+  }
+  const endpoint = await WebhookEndpoint.findById(original.endpointId);
+  if (!endpoint || !endpoint.active) {
+    return { status: 400, error: "Endpoint removed or disabled" };
+  }
+  const delivery = await WebhookDelivery.create({
+    endpointId: endpoint._id,
+    url: endpoint.url,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original._id,
+    replayedBy: adminAddress,
+  });
+  return { delivery };
+};
+
+const startWebhookDispatcher = async () => {
+  setInterval(processWebhookDeliveries, getWebhookSettings().interval);
+  processWebhookDeliveries();
+  console.log("Webhook dispatcher started");
+};
+
+module.exports = {
+  createWebhookSecret,
+  validateEndpoint,
+  queueWebhookDeliveries,
+  processWebhookDeliveries,
+  replayDelivery,
+  startWebhookDispatcher,
+};
@@ -0,0 +1,190 @@
+const { ethers } = require("ethers");
+const Withdrawal = require("../models/Withdrawal");
+const WithdrawalABI = require("../WithdrawalABI.json");
+
+const withdrawalInterface = new ethers.Interface(WithdrawalABI);
+const erc20Interface = new ethers.Interface([
+  "function decimals() view returns (uint8)",
+]);
+
+// USDT decimals per withdrawal contract, read once from the token itself
+const decimalsCache = new Map();
+
+const getTokenDecimals = async (chain) => {
+  const key = `${chain.chainId}:${chain.withdrawalContractAddress}`;
+  if (!decimalsCache.has(key)) {
+    const withdrawalContract = new ethers.Contract(
+      chain.withdrawalContractAddress,
+      WithdrawalABI,
+      chain.provider
+    );
+    const token = new ethers.Contract(
+      await withdrawalContract.USDT(),
+      erc20Interface,
+      chain.provider
+    );
+    decimalsCache.set(key, Number(await token.decimals()));
+  }
+  return decimalsCache.get(key);
+};
+
+// The contract stores bank details as one string. Accept a JSON object with
+// the same fields, or any string that contains all three values.
+const bankDetailsMatch = (onChain, bankDetails) => {
+  const expected = [
+    bankDetails.bankName,
+    bankDetails.accountNumber,
+    bankDetails.accountName,
+  ].map((value) => String(value).trim().toLowerCase());
+
+  try {
+    const parsed = JSON.parse(onChain);
+    if (parsed && typeof parsed === "object") {
+      const actual = [
+        parsed.bankName,
+        parsed.accountNumber,
+        parsed.accountName,
+      ].map((value) => String(value).trim().toLowerCase());
+      return expected.every((value, i) => value === actual[i]);
+    }
+  } catch {
+    // Not JSON, fall through to the substring check
+  }
+  const haystack = onChain.toLowerCase();
+  return expected.every((value) => haystack.includes(value));
+};
+
+const requiredConfirmations = (chain) => chain.confirmations || 3;
+
+// Checks that `txHash` is a successful call to the chain's withdrawal contract
+// whose WithdrawalInitiated event matches the request. Returns
+// { event, blockNumber, blockTime } on success, otherwise { status, error }
+// for the HTTP response.
+const verifyWithdrawalTx = async ({
+  chain,
+  txHash,
+  userId,
+  usdtAmount,
+  bankDetails,
+}) => {
+  const receipt = await chain.provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return {
+      status: 409,
+      error: "Transaction not found or not yet mined",
+      confirmations: 0,
+      required: requiredConfirmations(chain),
+    };
+  }
+  if (receipt.status !== 1) {
+    return { status: 400, error: "Transaction failed on-chain" };
+  }
+  if (receipt.to?.toLowerCase() !== chain.withdrawalContractAddress) {
+    return {
+      status: 400,
+      error: "Transaction was not sent to the withdrawal contract",
+    };
+  }
+
+  const confirmations = await receipt.confirmations();
+  const required = requiredConfirmations(chain);
+  if (confirmations < required) {
+    return {
+      status: 409,
+      error: `Transaction has ${confirmations} of ${required} required confirmations`,
+      confirmations,
+      required,
+    };
+  }
+
+  const event = receipt.logs
+    .filter(
+      (log) => log.address.toLowerCase() === chain.withdrawalContractAddress
+    )
+    .map((log) => withdrawalInterface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "WithdrawalInitiated");
+  if (!event) {
+    return {
+      status: 400,
+      error: "No WithdrawalInitiated event in transaction",
+    };
+  }
+
+  if (event.args.user.toLowerCase() !== userId.toLowerCase()) {
+    return { status: 400, error: "Withdrawal event user does not match" };
+  }
+
+  const decimals = await getTokenDecimals(chain);
+  let expectedAmount;
+  try {
+    expectedAmount = ethers.parseUnits(String(usdtAmount), decimals);
+  } catch {
+    return { status: 400, error: "Invalid USDT amount precision" };
+  }
+  if (event.args.amount !== expectedAmount) {
+    return {
+      status: 400,
+      error: `Withdrawal event amount ${ethers.formatUnits(
+        event.args.amount,
+        decimals
+      )} does not match ${usdtAmount}`,
+    };
+  }
+
+  if (!bankDetailsMatch(event.args.bankDetails, bankDetails)) {
+    return { status: 400, error: "Withdrawal event bank details do not match" };
+  }
+
+  const block = await chain.provider.getBlock(receipt.blockNumber);
+  return {
+    event,
+    blockNumber: receipt.blockNumber,
+    blockTime: new Date(block.timestamp * 1000),
+  };
+};
+
+// Withdrawals saved before txHash was unique and lowercase: hashes are
+// lowercased and the unique index built. Several withdrawals on one transfer
+// cannot be merged automatically, so they are logged for an admin and the
+// index waits until they are resolved.
+const migrateWithdrawalTxHashes = async () => {
+  const groups = await Withdrawal.aggregate([
+    {
+      $group: {
+        _id: { $toLower: "$txHash" },
+        ids: { $push: "$_id" },
+        hashes: { $push: "$txHash" },
+      },
+    },
+    { $match: { $or: [{ "ids.1": { $exists: true } }, { hashes: /[A-F]/ }] } },
+  ]);
+
+  const duplicates = groups.filter((group) => group.ids.length > 1);
+  for (const group of groups) {
+    if (group.ids.length > 1) continue;
+    await Withdrawal.updateOne(
+      { _id: group.ids[0] },
+      { $set: { txHash: group._id } }
+    );
+  }
+
+  if (duplicates.length > 0) {
+    for (const group of duplicates) {
+      console.error(
+        `Withdrawals ${group.ids.join(", ")} share transaction ${group._id}`
+      );
+    }
+    console.error(
+      "Withdrawal txHash index not built: resolve the duplicates above and restart"
+    );
+    return;
+  }
+  await Withdrawal.syncIndexes();
+};
+
+module.exports = {
+  verifyWithdrawalTx,
+  getTokenDecimals,
+  bankDetailsMatch,
+  migrateWithdrawalTxHashes,
+};